@@ -179,11 +179,10 @@ function format(parseTree, options = {}) {
 
     result += " => ";
 
-    // Format the function body (only block bodies are supported)
+    // Format the function body, which is either a block or an expression
     if (node.body.type === "BlockStatement") {
       result += formatBlockStatement(node.body, indentLevel, indentString);
     } else {
-      // Should not happen as per parser implementation, but handling for completeness
       result += formatNode(node.body, indentLevel, indentString);
     }
 
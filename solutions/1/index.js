@@ -105,6 +105,18 @@ test("Format arrow function with type annotations", () => {
   );
 });
 
+test("Format arrow function with an expression body", () => {
+  const code = "const double=(x:number):number=>x*2;";
+  const tree = compile(code);
+  const formatted = format(tree);
+
+  assertEqual(
+    formatted,
+    "const double = (x: number): number => x * 2;",
+    "Should keep an expression body on the same line",
+  );
+});
+
 test("Format function call", () => {
   const code = "const result = add(1, 2);";
   const tree = compile(code);
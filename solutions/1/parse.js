@@ -276,10 +276,12 @@ function parse(tokens) {
 
     expect("ARROW", "Expected '=>' after parameters");
 
-    // Parse the function body - only block bodies are supported
+    // Parse the function body: either a block in curly braces, or a single
+    // expression whose value the function returns, as in (x) => x * 2
     let body;
 
-    // Require a block body with curly braces
+    // A { always starts a block body, as in JavaScript. An object literal
+    // body would need wrapping in parentheses: () => ({ ... })
     if (check("LEFT_CURLY")) {
       // Block body with curly braces - parse as block statement
       next(); // Consume the {
@@ -309,10 +311,8 @@ function parse(tokens) {
         body: blockStatements,
       };
     } else {
-      // Expression bodies are not allowed, only block bodies with curly braces
-      throw new Error(
-        `Arrow functions only support block bodies with curly braces in this language`,
-      );
+      // Expression body
+      body = parseExpression();
     }
 
     return {
@@ -610,7 +610,7 @@ function parse(tokens) {
       // This could be a parenthesized expression or an arrow function
 
       // Look ahead to see if this is an arrow function
-      // We check by looking for ')' followed by '=>' and then '{'
+      // We check by looking for ')' followed by '=>'
       let isArrowFunction = false;
 
       // Save the current position so we can rewind
@@ -0,0 +1,34 @@
+/**
+ * Built-in Functions
+ *
+ * These functions can be called from any program without being declared.
+ * They're provided by the host that runs the program: the generated
+ * WebAssembly module imports each one, and the host (such as the REPL)
+ * supplies it when instantiating the module.
+ *
+ *   const double = (n) => {
+ *     return log(n) * 2;
+ *   };
+ *
+ * A program can declare its own function with the same name as a built-in,
+ * which then takes its place.
+ */
+
+// Built-in functions by name, with the Identifier node that uses of each
+// name resolve to (see naming.js) and where the module imports it from. The
+// declaration has no span, since it isn't anywhere in the source code.
+const BUILTINS = {
+  // log(value) hands the value to the host, which prints it, and returns
+  // the same value, so it can be used in the middle of an expression. The
+  // host receives the value as a number, with Booleans as 1 or 0, so the
+  // type checker only lets it log Numbers and Booleans.
+  log: {
+    declaration: { type: "Identifier", name: "log", builtin: true },
+    module: "console",
+    field: "log",
+  },
+};
+
+module.exports = {
+  BUILTINS,
+};
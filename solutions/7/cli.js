@@ -0,0 +1,290 @@
+/**
+ * Command-Line Interface
+ *
+ * Run `node cli.js <command> [arguments]` from this directory:
+ * - compile <file>: compile a source file to a .wasm file next to it
+ * - repl: start an interactive REPL (see repl.js)
+ * - lsp: start a language server on stdin and stdout (see lsp.js)
+ * - explain <code>: explain an error code (e.g. T004) in long form
+ * - explain: list every error code
+ *
+ * The compile command runs tokenize → parse → nameCheck → typeCheck →
+ * generateWasm, stopping at the first phase that reports errors. Its
+ * `--emit` option prints the output of an intermediate phase instead:
+ * - tokens: the token stream
+ * - ast: the parse tree, as JSON
+ * - types: the inferred type of each top-level declaration
+ * - wat: the generated WebAssembly, in the text format
+ * - wasm: write the WebAssembly binary (the default)
+ *
+ * Errors are written to stderr as code frames, or with `--format=json` or
+ * `--format=sarif` as JSON for other tools to read (see diagnostics.js).
+ *
+ * The `main` function takes the arguments and the streams to write to, and
+ * returns the process exit code, so the CLI can be tested without spawning
+ * a process.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ERROR_CODES, explainCode } = require("./codes");
+const { tokenizeWithRecovery } = require("./tokenize");
+const { parse, astToJson } = require("./parse");
+const { nameCheck } = require("./naming");
+const { typeCheck, formatType } = require("./typecheck");
+const { generateWasm } = require("./wasm");
+const { wasmToWat } = require("./wat");
+const {
+  printDiagnostics,
+  diagnosticsToJson,
+  diagnosticsToSarif,
+} = require("./diagnostics");
+const { startRepl } = require("./repl");
+const { startServer } = require("./lsp");
+
+const USAGE = `Usage: node cli.js <command> [arguments]
+
+Commands:
+  compile <file> [options]   Compile a source file to WebAssembly
+  repl                       Start an interactive REPL
+  lsp                        Start a language server on stdin and stdout
+  explain <code>             Explain an error code, e.g. \`explain T004\`
+  explain                    List every error code
+
+Compile options:
+  --emit=<stage>    What to output: tokens, ast, types, wat, or wasm (default)
+  --format=<format> How to report errors: text (default), json, or sarif
+  -o <file>         Where to write the .wasm file (default: <file>.wasm)`;
+
+const EMIT_STAGES = ["tokens", "ast", "types", "wat", "wasm"];
+const ERROR_FORMATS = ["text", "json", "sarif"];
+
+/**
+ * Parse the arguments to the `compile` command
+ *
+ * @param {Array} args - Arguments after the command name
+ * @returns {Object} - The input `file`, the `emit` stage, the `output`
+ *   path, the error `format`, or an `error` message if the arguments are
+ *   invalid
+ */
+function parseCompileArgs(args) {
+  const options = { file: null, emit: "wasm", output: null, format: "text" };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg.startsWith("--emit=")) {
+      options.emit = arg.slice("--emit=".length);
+      if (!EMIT_STAGES.includes(options.emit)) {
+        return { error: `Unknown --emit stage: ${options.emit}` };
+      }
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.slice("--format=".length);
+      if (!ERROR_FORMATS.includes(options.format)) {
+        return { error: `Unknown --format: ${options.format}` };
+      }
+    } else if (arg === "-o") {
+      options.output = args[++i];
+      if (options.output === undefined) {
+        return { error: "Missing file name after -o" };
+      }
+    } else if (arg.startsWith("-")) {
+      return { error: `Unknown option: ${arg}` };
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      return { error: `Unexpected argument: ${arg}` };
+    }
+  }
+
+  if (options.file === null) {
+    return { error: "Missing source file to compile" };
+  }
+
+  // By default, the output goes next to the source file, with its
+  // extension changed to .wasm
+  if (options.output === null) {
+    options.output = options.file.replace(/(\.[^./\\]*)?$/, ".wasm");
+  }
+  if (
+    options.emit === "wasm" &&
+    path.resolve(options.output) === path.resolve(options.file)
+  ) {
+    return { error: `Output would overwrite the source file: ${options.file}` };
+  }
+
+  return options;
+}
+
+/**
+ * Format a token for --emit=tokens, e.g. `2:7 IDENTIFIER add`
+ */
+function formatToken(token) {
+  const { line, column } = token.span.start;
+  const value = token.value === undefined ? "" : ` ${token.value}`;
+  return `${line}:${column} ${token.type}${value}`;
+}
+
+/**
+ * The `compile` command: run the whole pipeline on a source file
+ *
+ * @param {Array} args - Arguments after the command name
+ * @param {Object} io - The `stdout` and `stderr` streams to write to
+ * @returns {number} - The exit code
+ */
+function compile(args, io) {
+  const options = parseCompileArgs(args);
+  if (options.error) {
+    io.stderr.write(`${options.error}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  let sourceCode;
+  try {
+    sourceCode = fs.readFileSync(options.file, "utf8");
+  } catch (error) {
+    io.stderr.write(`Cannot read ${options.file}: ${error.message}\n`);
+    return 1;
+  }
+
+  // Report errors in the chosen format, and fail
+  const fail = (errors) => {
+    if (options.format === "json") {
+      io.stderr.write(
+        JSON.stringify(diagnosticsToJson(errors), null, 2) + "\n",
+      );
+    } else if (options.format === "sarif") {
+      const log = diagnosticsToSarif(errors, { fileName: options.file });
+      io.stderr.write(JSON.stringify(log, null, 2) + "\n");
+    } else {
+      printDiagnostics(errors, sourceCode, {
+        fileName: options.file,
+        stream: io.stderr,
+      });
+    }
+    return 1;
+  };
+
+  const { tokens, errors: lexicalErrors } = tokenizeWithRecovery(sourceCode);
+  if (options.emit === "tokens") {
+    io.stdout.write(tokens.map(formatToken).join("\n") + "\n");
+    return lexicalErrors.length > 0 ? fail(lexicalErrors) : 0;
+  }
+
+  const { ast, errors: syntaxErrors } = parse(tokens);
+  const parseErrors = lexicalErrors.concat(syntaxErrors);
+  if (parseErrors.length > 0) return fail(parseErrors);
+
+  if (options.emit === "ast") {
+    io.stdout.write(astToJson(ast) + "\n");
+    return 0;
+  }
+
+  const nameResult = nameCheck(ast);
+  if (nameResult.errors.length > 0) return fail(nameResult.errors);
+
+  const typeResult = typeCheck(ast);
+  if (typeResult.errors.length > 0) return fail(typeResult.errors);
+
+  if (options.emit === "types") {
+    for (const [name, type] of Object.entries(typeResult.environment)) {
+      io.stdout.write(`${name} : ${formatType(type)}\n`);
+    }
+    return 0;
+  }
+
+  const wasmResult = generateWasm(ast);
+  if (wasmResult.errors.length > 0) return fail(wasmResult.errors);
+
+  if (options.emit === "wat") {
+    io.stdout.write(wasmToWat(wasmResult.wasm) + "\n");
+    return 0;
+  }
+
+  fs.writeFileSync(options.output, wasmResult.wasm);
+  return 0;
+}
+
+/**
+ * The `repl` command: start an interactive REPL on stdin and stdout
+ *
+ * @returns {number} - The exit code
+ */
+function repl() {
+  startRepl();
+  return 0;
+}
+
+/**
+ * The `lsp` command: start a language server on stdin and stdout, for an
+ * editor to talk to
+ *
+ * @returns {number} - The exit code
+ */
+function lsp() {
+  startServer();
+  return 0;
+}
+
+/**
+ * The `explain` command: print the long-form explanation of an error code,
+ * or a list of every code if none is given
+ *
+ * @param {Array} args - Arguments after the command name
+ * @param {Object} io - The `stdout` and `stderr` streams to write to
+ * @returns {number} - The exit code
+ */
+function explain(args, io) {
+  if (args.length === 0) {
+    for (const [code, info] of Object.entries(ERROR_CODES)) {
+      io.stdout.write(`${code}  ${info.title}\n`);
+    }
+    return 0;
+  }
+
+  const explanation = explainCode(args[0]);
+  if (explanation === null) {
+    io.stderr.write(`Unknown error code: ${args[0]}\n`);
+    return 1;
+  }
+
+  io.stdout.write(explanation + "\n");
+  return 0;
+}
+
+const COMMANDS = {
+  compile,
+  repl,
+  lsp,
+  explain,
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {Array} args - Command-line arguments, not including `node cli.js`
+ * @param {Object} io - The `stdout` and `stderr` streams to write to
+ * @returns {number} - The exit code
+ */
+function main(args, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const [commandName, ...commandArgs] = args;
+
+  // Names like `toString` are inherited by COMMANDS, but aren't commands
+  if (!Object.hasOwn(COMMANDS, commandName)) {
+    if (commandName !== undefined) {
+      io.stderr.write(`Unknown command: ${commandName}\n\n`);
+    }
+    io.stderr.write(USAGE + "\n");
+    return 1;
+  }
+
+  return COMMANDS[commandName](commandArgs, io);
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,328 @@
+/**
+ * Error Codes
+ *
+ * Every error the compiler can report has a stable code, so tools can
+ * recognize an error without parsing its (human-oriented) message. The first
+ * letter of a code says which phase reports it:
+ * - L: tokenizing (lexical errors)
+ * - P: parsing (syntax errors)
+ * - N: naming
+ * - T: type checking
+ * - W: WebAssembly code generation
+ *
+ * Codes are never reused or renumbered; new errors get new codes.
+ *
+ * Each entry also has a long-form explanation, and usually an example program
+ * that produces the error, so `node cli.js explain <code>` can teach what the
+ * error means without reading the compiler's source.
+ */
+
+const ERROR_CODES = {
+  L001: {
+    phase: "tokenize",
+    title: "Unexpected character",
+    explanation: `The tokenizer found one or more characters that can't begin any token in
+the language. Only letters, digits, underscores, the operators and
+punctuation the language defines, string quotes, and whitespace may appear
+outside of strings and comments.`,
+    example: `const price = $5;`,
+  },
+
+  P001: {
+    phase: "parse",
+    title: "Unexpected token",
+    explanation: `The parser found a token that can't appear at this point in the program. The
+error lists the kinds of tokens that would have been valid instead. This is
+often caused by a missing value, a missing closing bracket, or a stray
+semicolon.`,
+    example: `const x = ;`,
+  },
+
+  P002: {
+    phase: "parse",
+    title: "Arrow function without a block body (no longer reported)",
+    explanation: `Arrow functions used to need a body wrapped in curly braces. They can now
+have a single expression as their body instead, which the function returns,
+so this error is no longer reported:
+
+    const double = (x) => x * 2;
+
+The code is kept so that it's never reused for a different error.`,
+    example: null,
+  },
+
+  P003: {
+    phase: "parse",
+    title: "Unsupported 'any' type",
+    explanation: `The \`any\` type opts out of type checking, so this compiler doesn't support
+it. Use a specific type, or leave the annotation off and let type inference
+work out the type.`,
+    example: `const x: any = 1;`,
+  },
+
+  P004: {
+    phase: "parse",
+    title: "Missing type annotation",
+    explanation: `A colon after a name or parameter list starts a type annotation, so it must
+be followed by a type such as \`number\`, \`string\`, \`boolean\`, or
+\`Array<number>\`. Remove the colon if you don't want to annotate the type.`,
+    example: `const x: = 1;`,
+  },
+
+  N001: {
+    phase: "naming",
+    title: "Duplicate declaration",
+    explanation: `A name was declared twice in the same scope. Each \`const\` (and each
+function parameter) must have a name that's unique within its scope, so
+rename one of them.`,
+    example: `const x = 1;
+const x = 2;`,
+  },
+
+  N002: {
+    phase: "naming",
+    title: "Reference to undeclared variable",
+    explanation: `A name was used that isn't declared in any enclosing scope. Names must be
+declared with \`const\` (or as a function parameter) before they're used.
+Check for typos, and make sure the declaration comes first. The one exception
+is that the body of a top-level function can use any top-level function,
+even itself or one declared after it, so functions can be recursive.`,
+    example: `const y = x + 1;`,
+  },
+
+  T001: {
+    phase: "typecheck",
+    title: "Type mismatch",
+    explanation: `Type inference worked out that two types must be the same, but they're
+different. For example, a value can't be used as both a Number and a
+String, a function can't be passed an argument of a type its parameter
+doesn't accept, and a value must have the type its annotation gives.`,
+    example: `const double = (x) => {
+  return x * 2;
+};
+const y = double("two");`,
+  },
+
+  T002: {
+    phase: "typecheck",
+    title: "Binary operands have different types",
+    explanation: `Both sides of \`+\` must have the same type: it adds two Numbers or joins two
+Strings, but it can't mix them. Convert one side so the types agree.
+
+The same goes for \`==\` and \`!=\`: a value can only be compared with
+another value of the same type (see also T013).`,
+    example: `const greeting = "hello" + 1;`,
+  },
+
+  T003: {
+    phase: "typecheck",
+    title: "Non-numeric operand",
+    explanation: `Arithmetic other than \`+\` (that is, \`-\`, \`*\`, \`/\`, \`%\` and negation)
+and the ordering comparisons (\`<\`, \`<=\`, \`>\`, \`>=\`) only work on
+Numbers, but one of the operands has another type.`,
+    example: `const n = "three" * 2;`,
+  },
+
+  T004: {
+    phase: "typecheck",
+    title: "Ternary branch mismatch",
+    explanation: `A ternary expression (\`test ? a : b\`) produces either of its branches, so
+both branches must have the same type. Otherwise, the type of the whole
+expression would depend on the value of the test.`,
+    example: `const a = true ? 1 : "one";`,
+  },
+
+  T005: {
+    phase: "typecheck",
+    title: "Ternary condition is not Boolean",
+    explanation: `The test of a ternary expression must be a Boolean. Unlike JavaScript, the
+language has no "truthy" values, so Numbers and Strings can't be used as
+conditions.`,
+    example: `const a = 1 ? 2 : 3;`,
+  },
+
+  T006: {
+    phase: "typecheck",
+    title: "Array element mismatch",
+    explanation: `All elements of an array literal must have the same type.`,
+    example: `const a = [1, "two"];`,
+  },
+
+  T007: {
+    phase: "typecheck",
+    title: "Unknown node type",
+    explanation: `The type checker was given a parse tree node it doesn't know how to check.
+This indicates a bug in the compiler rather than in the program.`,
+    example: null,
+  },
+
+  T008: {
+    phase: "typecheck",
+    title: "Wrong number of arguments",
+    explanation: `A function was called with more or fewer arguments than it has parameters.
+There are no optional parameters, so every call must pass exactly one
+argument per parameter.`,
+    example: `const add = (a, b) => {
+  return a + b;
+};
+const sum = add(1);`,
+  },
+
+  T009: {
+    phase: "typecheck",
+    title: "Call to a non-function",
+    explanation: `Something other than a function was called. Only functions can be called;
+check that the name refers to the function you meant.`,
+    example: `const x = 1;
+const y = x(2);`,
+  },
+
+  T010: {
+    phase: "typecheck",
+    title: "Infinite type",
+    explanation: `Type inference worked out that a type would have to contain itself. For
+example, a function that's called with itself as its argument would need a
+type \`a\` equal to \`a -> b\`, and writing that type out would never end.
+The error shows the equation that has no finite solution.`,
+    example: `const selfApply = (f) => {
+  return f(f);
+};`,
+  },
+
+  T011: {
+    phase: "typecheck",
+    title: "Unknown type in annotation",
+    explanation: `A type annotation names a type that doesn't exist. The types that can be
+written in annotations are \`number\`, \`string\`, \`boolean\`, \`void\`,
+arrays such as \`Array<number>\`, and function types such as
+\`(x: number) => string\`.`,
+    example: `const x: integer = 1;`,
+  },
+
+  T012: {
+    phase: "typecheck",
+    title: "Non-Boolean operand to a logical operator",
+    explanation: `The logical operators \`&&\`, \`||\` and \`!\` only work on Booleans. Unlike
+JavaScript, the language has no "truthy" values, so compare a Number or
+String explicitly instead (for example, \`n != 0\`).`,
+    example: `const a = 1 && true;`,
+  },
+
+  T013: {
+    phase: "typecheck",
+    title: "Values that can't be compared",
+    explanation: `\`==\` and \`!=\` only compare Numbers and Booleans. Strings, arrays and
+functions are kept in memory, and comparing two of them would only tell
+whether they're stored in the same place, so two Strings with the same text
+could be unequal.
+
+When nothing says what type the operands are, as in \`(a, b) => a == b\`,
+they're taken to be Numbers.`,
+    example: `const same = "a" + "b" == "ab";`,
+  },
+
+  T014: {
+    phase: "typecheck",
+    title: "Value log can't print",
+    explanation: `The built-in \`log\` function prints Numbers and Booleans. The host that
+prints the value receives it as a number, so a String or an array would
+arrive as a position in memory rather than as its contents.
+
+When nothing says what type a logged value is, as in \`(x) => log(x)\`, it's
+taken to be a Number.`,
+    example: `const greeting = log("hello");`,
+  },
+
+  W001: {
+    phase: "wasm",
+    title: "Nested function not supported",
+    explanation: `The WebAssembly backend can only compile functions declared with \`const\` at
+the top level of the program. Move the function to the top level.`,
+    example: `const main = () => {
+  return (x) => { return x; };
+};`,
+  },
+
+  W002: {
+    phase: "wasm",
+    title: "Array literal not supported",
+    explanation: `The WebAssembly backend doesn't support arrays yet. Arrays can still be
+type-checked, but programs that use them can't be compiled to WebAssembly.`,
+    example: `const main = () => {
+  return [1, 2];
+};`,
+  },
+
+  W003: {
+    phase: "wasm",
+    title: "Unsupported node type",
+    explanation: `The WebAssembly backend was given a parse tree node it doesn't know how to
+compile. This indicates a bug in the compiler rather than in the program.`,
+    example: null,
+  },
+
+  W004: {
+    phase: "wasm",
+    title: "Unsupported operator",
+    explanation: `The WebAssembly backend doesn't know which instructions to emit for this
+operator. This indicates a bug in the compiler rather than in the
+program.`,
+    example: null,
+  },
+
+  W005: {
+    phase: "wasm",
+    title: "Call to undefined function",
+    explanation: `The WebAssembly backend can only call functions declared with \`const\` at
+the top level of the program. Calling a function that was passed in as a
+parameter isn't supported yet.`,
+    example: `const apply = (f) => {
+  return f(1);
+};`,
+  },
+
+  W006: {
+    phase: "wasm",
+    title: "Reference to undefined variable",
+    explanation: `Inside a function, the WebAssembly backend can only refer to the function's
+own parameters and local constants. Top-level constants that aren't
+functions aren't compiled, so they can't be used from inside functions yet.`,
+    example: `const x = 1;
+const main = () => {
+  return x;
+};`,
+  },
+};
+
+/**
+ * Describe an error code in long form, for the `explain` command
+ *
+ * @param {string} code - An error code such as "T004"
+ * @returns {string|null} - The explanation, or null for an unknown code
+ */
+function explainCode(code) {
+  const info = ERROR_CODES[code.toUpperCase()];
+  if (!info) return null;
+
+  const lines = [
+    `${code.toUpperCase()}: ${info.title} (${info.phase})`,
+    "",
+    info.explanation,
+  ];
+
+  if (info.example) {
+    const indented = info.example
+      .split("\n")
+      .map((line) => `    ${line}`)
+      .join("\n");
+
+    lines.push("", "Example:", "", indented);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  ERROR_CODES,
+  explainCode,
+};
@@ -0,0 +1,259 @@
+/**
+ * Diagnostics
+ *
+ * Every phase of the compiler reports errors as plain objects with a
+ * `message` and a `span` pointing into the source code. This module turns
+ * those objects into something a human can read: the file name and
+ * line:column, the offending source line, and an underline beneath the
+ * exact text involved.
+ *
+ *   error[N002]: Reference to undeclared variable: y
+ *    --> main.ts:2:11
+ *     |
+ *   2 | const x = y + 1;
+ *     |           ^
+ *
+ * Errors may also carry secondary `labels`, each with its own span and
+ * message, to explain *why* something went wrong (for example, "expected
+ * because of this annotation"). Those are underlined with - instead of ^.
+ *
+ * For tools rather than humans, the same errors can be serialized as plain
+ * JSON data or as a SARIF 2.1.0 log (the format code-scanning dashboards
+ * accept), keyed by the stable error codes from codes.js. The CLI writes
+ * these with `compile --format=json` or `--format=sarif`.
+ */
+
+const { ERROR_CODES } = require("./codes");
+
+// ANSI escape codes used when writing to a terminal
+const COLORS = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  cyan: "\x1b[36m",
+};
+
+/**
+ * Render a single error as a human-readable code frame
+ *
+ * @param {Object} error - An error with `message`, and optionally a `span`, a
+ *   `label` for the primary span, and secondary `labels`
+ * @param {string} sourceCode - The source code the error's spans point into
+ * @param {Object} options - `fileName` to show, and whether to use `color`
+ * @returns {string} - The rendered diagnostic
+ */
+function renderDiagnostic(error, sourceCode, options = {}) {
+  const fileName = options.fileName || "<input>";
+  const color = options.color || false;
+  const severity = error.severity || "error";
+
+  /**
+   * Wrap text in the given ANSI styles, if color is enabled
+   */
+  function paint(text, ...styles) {
+    if (!color) return text;
+    return styles.map((style) => COLORS[style]).join("") + text + COLORS.reset;
+  }
+
+  // The header names the error code, which `node cli.js explain` describes
+  const severityColor = severity === "warning" ? "yellow" : "red";
+  const heading = error.code ? `${severity}[${error.code}]` : severity;
+  const output = [
+    paint(heading, "bold", severityColor) + paint(`: ${error.message}`, "bold"),
+  ];
+
+  // Without a span there's nothing to point at, so the message is all we have
+  if (!error.span) {
+    return output.join("\n");
+  }
+
+  const { line, column } = error.span.start;
+  const lines = sourceCode.split("\n");
+
+  // The primary span is underlined with ^, secondary labels with -
+  const annotations = [
+    { span: error.span, message: error.label, primary: true },
+    ...(error.labels || [])
+      .filter((label) => label.span)
+      .map((label) => ({ ...label, primary: false })),
+  ];
+
+  const lineNumbers = [
+    ...new Set(annotations.map((annotation) => annotation.span.start.line)),
+  ].sort((a, b) => a - b);
+  const gutterWidth = String(lineNumbers[lineNumbers.length - 1]).length;
+  const gutter = (text = "") =>
+    paint(`${text.padStart(gutterWidth)} |`, "bold", "blue");
+
+  output.push(
+    `${" ".repeat(gutterWidth)}${paint("-->", "bold", "blue")} ${fileName}:${line}:${column}`,
+  );
+  output.push(gutter());
+
+  lineNumbers.forEach((lineNumber, i) => {
+    // Show an ellipsis between lines that aren't next to each other
+    if (i > 0 && lineNumber > lineNumbers[i - 1] + 1) {
+      output.push(paint("...", "bold", "blue"));
+    }
+
+    const text = lines[lineNumber - 1] || "";
+    output.push(`${gutter(String(lineNumber))} ${text}`);
+
+    for (const annotation of annotations) {
+      const { start, end } = annotation.span;
+      if (start.line !== lineNumber) continue;
+
+      // Multi-line spans are underlined to the end of their first line
+      const endColumn = end.line === start.line ? end.column : text.length + 1;
+      const width = Math.max(endColumn - start.column, 1);
+
+      // Keep tabs from the source line so the underline lines up
+      const indent = text.slice(0, start.column - 1).replace(/[^\t]/g, " ");
+      const marker = (annotation.primary ? "^" : "-").repeat(width);
+      const underline = annotation.message
+        ? `${marker} ${annotation.message}`
+        : marker;
+
+      output.push(
+        `${gutter()} ${indent}${paint(underline, "bold", annotation.primary ? severityColor : "cyan")}`,
+      );
+    }
+  });
+
+  return output.join("\n");
+}
+
+/**
+ * Render a list of errors, separated by blank lines
+ *
+ * @param {Array} errors - Errors from any phase of the compiler
+ * @param {string} sourceCode - The source code the errors' spans point into
+ * @param {Object} options - Same options as renderDiagnostic
+ * @returns {string} - The rendered diagnostics
+ */
+function renderDiagnostics(errors, sourceCode, options = {}) {
+  return errors
+    .map((error) => renderDiagnostic(error, sourceCode, options))
+    .join("\n\n");
+}
+
+/**
+ * Write rendered errors to a stream, using color only if it's a terminal
+ *
+ * @param {Array} errors - Errors from any phase of the compiler
+ * @param {string} sourceCode - The source code the errors' spans point into
+ * @param {Object} options - `fileName` to show, and the `stream` to write to
+ */
+function printDiagnostics(errors, sourceCode, options = {}) {
+  const stream = options.stream || process.stderr;
+  const rendered = renderDiagnostics(errors, sourceCode, {
+    fileName: options.fileName,
+    color: Boolean(stream.isTTY),
+  });
+
+  stream.write(rendered + "\n");
+}
+
+/**
+ * Convert a span into plain data, with a fixed key order so the output is
+ * stable from one run to the next
+ */
+function serializeSpan(span) {
+  if (!span) return null;
+
+  const point = ({ offset, line, column }) => ({ offset, line, column });
+  return { start: point(span.start), end: point(span.end) };
+}
+
+/**
+ * Convert errors into plain JSON-friendly objects
+ *
+ * Parse tree nodes and tokens are left out, since they're large and specific
+ * to the compiler's internals; the span says where each error is.
+ *
+ * @param {Array} errors - Errors from any phase of the compiler
+ * @returns {Array} - One { code, severity, phase, message, span } per error
+ */
+function diagnosticsToJson(errors) {
+  return errors.map((error) => {
+    const info = ERROR_CODES[error.code];
+
+    return {
+      code: error.code || null,
+      severity: error.severity || "error",
+      phase: info ? info.phase : null,
+      message: error.message,
+      span: serializeSpan(error.span),
+    };
+  });
+}
+
+/**
+ * Convert errors into a SARIF 2.1.0 log
+ *
+ * Each error code becomes a SARIF "rule" and each error a "result" that
+ * refers back to its rule and points at a region of the source file.
+ *
+ * @param {Array} errors - Errors from any phase of the compiler
+ * @param {Object} options - `fileName` of the source the errors refer to
+ * @returns {Object} - The SARIF log, ready for JSON.stringify
+ */
+function diagnosticsToSarif(errors, options = {}) {
+  const fileName = options.fileName || "<input>";
+  const codes = Object.keys(ERROR_CODES);
+
+  const rules = codes.map((code) => ({
+    id: code,
+    name: ERROR_CODES[code].title,
+    shortDescription: { text: ERROR_CODES[code].title },
+    properties: { phase: ERROR_CODES[code].phase },
+  }));
+
+  const results = diagnosticsToJson(errors).map((diagnostic) => {
+    const result = {
+      ruleId: diagnostic.code,
+      ruleIndex: codes.indexOf(diagnostic.code),
+      level: diagnostic.severity,
+      message: { text: diagnostic.message },
+      locations: [],
+    };
+
+    if (diagnostic.span) {
+      const { start, end } = diagnostic.span;
+      result.locations.push({
+        physicalLocation: {
+          artifactLocation: { uri: fileName },
+          region: {
+            startLine: start.line,
+            startColumn: start.column,
+            endLine: end.line,
+            endColumn: end.column,
+          },
+        },
+      });
+    }
+
+    return result;
+  });
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: { driver: { name: "compiler-workshop", rules } },
+        results,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  renderDiagnostic,
+  renderDiagnostics,
+  printDiagnostics,
+  diagnosticsToJson,
+  diagnosticsToSarif,
+};
@@ -1,14 +1,35 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
 const { compileToWasm } = require("./wasm");
+const { tokenize, tokenizeWithRecovery } = require("./tokenize");
+const { compile, astToJson, INFIX_OPERATORS } = require("./parse");
+const { formatSourceCode } = require("./formatter");
+const { nameCheck, createNameChecker } = require("./naming");
+const { typeCheck, createTypeChecker, formatType } = require("./typecheck");
+const {
+  renderDiagnostic,
+  renderDiagnostics,
+  diagnosticsToJson,
+  diagnosticsToSarif,
+} = require("./diagnostics");
+const { ERROR_CODES, explainCode } = require("./codes");
+const { main: runCli } = require("./cli");
+const { wasmToWat } = require("./wat");
+const { createSession } = require("./repl");
+const { startServer, encodeMessage, createMessageReader } = require("./lsp");
 const { assert, assertEqual } = require("../test");
 
 // WebAssembly testing utilities
-async function instantiateWasm(wasmBinary) {
-  const importObject = {
+async function instantiateWasm(
+  wasmBinary,
+  importObject = {
     console: {
       log: (value) => console.log(value),
     },
-  };
-
+  },
+) {
   try {
     const module = await WebAssembly.compile(wasmBinary);
     const instance = await WebAssembly.instantiate(module, importObject);
@@ -20,7 +41,7 @@ async function instantiateWasm(wasmBinary) {
   }
 }
 
-async function compileAndRunWasm(sourceCode) {
+async function compileAndRunWasm(sourceCode, importObject) {
   // Compile source to WASM binary
   const result = compileToWasm(sourceCode);
 
@@ -31,7 +52,7 @@ async function compileAndRunWasm(sourceCode) {
 
   try {
     // Instantiate the WebAssembly module
-    const { exports } = await instantiateWasm(result.wasm);
+    const { exports } = await instantiateWasm(result.wasm, importObject);
     return { success: true, exports };
   } catch (error) {
     return { success: false, error };
@@ -259,5 +280,2331 @@ runAsyncTest("Multiplication", async () => {
   assertEqual(exports.main(), 42.5, "Function should return 42.5");
 });
 
+// Source spans
+
+runAsyncTest("Tokens carry line and column spans", async () => {
+  const tokens = tokenize("const x = 1;\n  const yy = 2;");
+  const yy = tokens.find((token) => token.value === "yy");
+
+  assertEqual(
+    yy.span,
+    {
+      start: { offset: 21, line: 2, column: 9 },
+      end: { offset: 23, line: 2, column: 11 },
+    },
+    "Identifier on the second line should have the right span",
+  );
+  assertEqual(
+    tokens[tokens.length - 1].span.start,
+    { offset: 28, line: 2, column: 16 },
+    "EOF token should point at the end of the source",
+  );
+});
+
+runAsyncTest("Parse tree nodes carry spans", async () => {
+  const [declaration] = compile(`const f = (a) => {
+  return (a + 1) * 2;
+};`).ast;
+  const returnStatement = declaration.init.body.body[0];
+  const product = returnStatement.argument;
+
+  assertEqual(declaration.span.start, { offset: 0, line: 1, column: 1 });
+  assertEqual(declaration.span.end, { offset: 42, line: 3, column: 2 });
+  assertEqual(declaration.id.span.start.column, 7, "Name starts at column 7");
+  assertEqual(product.span.start, { offset: 28, line: 2, column: 10 });
+  assertEqual(product.span.end, { offset: 39, line: 2, column: 21 });
+  assertEqual(
+    product.left.span.start.column,
+    10,
+    "Parenthesized expression span should include the parentheses",
+  );
+});
+
+runAsyncTest("Naming and type errors include spans", async () => {
+  const statements = compile(`const a = 1;
+const b = missing;
+const c = true ? 1 : "one";`).ast;
+
+  const nameErrors = nameCheck(statements).errors;
+  assertEqual(nameErrors.length, 1, "Expected one undeclared reference");
+  assertEqual(nameErrors[0].span.start, { offset: 23, line: 2, column: 11 });
+
+  const typeErrors = typeCheck(statements).errors;
+  assert(typeErrors.length > 0, "Expected a ternary type error");
+  assertEqual(typeErrors[0].span.start, { offset: 42, line: 3, column: 11 });
+});
+
+runAsyncTest("Code generation errors include spans", async () => {
+  const result = compileToWasm(`const main = () => {
+  return [1, 2];
+};`);
+
+  assertEqual(result.errors.length, 1, "Expected one code generation error");
+  assertEqual(result.errors[0].span.start, { offset: 30, line: 2, column: 10 });
+});
+
+// Lexical error recovery
+
+runAsyncTest("Tokenizer throws on bad characters by default", async () => {
+  let message = null;
+  try {
+    tokenize("const x = 1 @ 2;");
+  } catch (error) {
+    message = error.message;
+  }
+
+  assert(
+    message && message.includes("Unexpected character"),
+    "Expected tokenize to throw on '@'",
+  );
+});
+
+runAsyncTest("Recovering tokenizer emits ERROR tokens", async () => {
+  const { tokens, errors } = tokenizeWithRecovery(
+    "const x = 1 @@ 2;\nconst y = #;",
+  );
+
+  assertEqual(
+    tokens.filter((token) => token.type === "ERROR").map((t) => t.value),
+    ["@@", "#"],
+    "Runs of bad characters should become single ERROR tokens",
+  );
+  assertEqual(errors.length, 2, "Expected one lexical error per bad run");
+  assertEqual(errors[1].span.start, { offset: 28, line: 2, column: 11 });
+  assertEqual(
+    tokens[tokens.length - 1].type,
+    "EOF",
+    "Scanning should continue to the end of the source",
+  );
+});
+
+runAsyncTest("compileToWasm reports every lexical error", async () => {
+  const result = compileToWasm(`
+    const main = () => {
+      const a = 1 $;
+      return a ~ + 2;
+    };
+  `);
+
+  assertEqual(
+    result.errors.map((error) => error.message),
+    ['Unexpected character: "$"', 'Unexpected character: "~"'],
+    "Both bad characters should be reported",
+  );
+});
+
+// Parse diagnostics
+
+runAsyncTest("compile returns structured syntax errors", async () => {
+  const { ast, errors } = compile(`const x = ;
+const y = 2;`);
+
+  assertEqual(errors.length, 1, "Expected exactly one syntax error");
+  assertEqual(
+    errors[0].message,
+    "Unexpected token type in expression: SEMICOLON",
+  );
+  assertEqual(errors[0].span.start, { offset: 10, line: 1, column: 11 });
+  assert(
+    errors[0].expected.includes("NUMBER") &&
+      errors[0].expected.includes("IDENTIFIER"),
+    "Expected set should list tokens that can start an expression",
+  );
+  assertEqual(
+    ast.map((statement) => statement.id.name),
+    ["y"],
+    "Parsing should resume at the next statement",
+  );
+});
+
+runAsyncTest(
+  "Parser recovers at const keywords and closing braces",
+  async () => {
+    const { ast, errors } = compile(`
+    const f = (a) => {
+      const b = a +
+      return b ? ;
+    };
+    const = 3
+    const g = () => { return 1; };
+  `);
+
+    assertEqual(
+      errors.map((error) => error.span.start.line),
+      [4, 4, 6],
+      "Each broken statement should be reported once",
+    );
+    assertEqual(errors[2].expected, ["IDENTIFIER"]);
+    assertEqual(
+      ast.map((statement) => statement.id.name),
+      ["f", "g"],
+      "Both functions should still be parsed",
+    );
+  },
+);
+
+runAsyncTest("compile reports lexical and syntax errors together", async () => {
+  const { errors } = compile("const a = 1 @;\nconst b = (;");
+
+  assertEqual(
+    errors.map((error) => error.message),
+    [
+      'Unexpected character: "@"',
+      "Unexpected token type in expression: SEMICOLON",
+    ],
+  );
+});
+
+runAsyncTest("compileToWasm stops on syntax errors", async () => {
+  const result = compileToWasm(`
+    const main = () => {
+      return 1 +;
+    };
+  `);
+
+  assert(!result.wasm, "No module should be generated");
+  assertEqual(result.errors.length, 1, "Expected one syntax error");
+  assertEqual(result.errors[0].span.start.line, 3);
+});
+
+// Diagnostic rendering
+
+runAsyncTest("Render an error with a code frame", async () => {
+  const sourceCode = `const a = 1;
+const b = missing + a;`;
+  const { errors } = nameCheck(compile(sourceCode).ast);
+
+  assertEqual(
+    renderDiagnostic(errors[0], sourceCode, { fileName: "main.ts" }),
+    [
+      "error[N002]: Reference to undeclared variable: missing",
+      " --> main.ts:2:11",
+      "  |",
+      "2 | const b = missing + a;",
+      "  |           ^^^^^^^",
+    ].join("\n"),
+  );
+});
+
+runAsyncTest("Render secondary labels", async () => {
+  const sourceCode = `const x = 1;
+
+const y = x * "two";`;
+  const error = {
+    message: "Type mismatch: cannot unify Number with String",
+    span: {
+      start: { offset: 28, line: 3, column: 15 },
+      end: { offset: 33, line: 3, column: 20 },
+    },
+    labels: [
+      {
+        message: "expected because of this",
+        span: {
+          start: { offset: 10, line: 1, column: 11 },
+          end: { offset: 11, line: 1, column: 12 },
+        },
+      },
+    ],
+  };
+
+  assertEqual(
+    renderDiagnostic(error, sourceCode),
+    [
+      "error: Type mismatch: cannot unify Number with String",
+      " --> <input>:3:15",
+      "  |",
+      "1 | const x = 1;",
+      "  |           - expected because of this",
+      "...",
+      '3 | const y = x * "two";',
+      "  |               ^^^^^",
+    ].join("\n"),
+  );
+});
+
+runAsyncTest("Color is only used when requested", async () => {
+  const sourceCode = "const a = b;";
+  const { errors } = nameCheck(compile(sourceCode).ast);
+
+  const plain = renderDiagnostics(errors, sourceCode);
+  const colored = renderDiagnostics(errors, sourceCode, { color: true });
+
+  assert(!plain.includes("\x1b["), "Plain output has no escape codes");
+  assert(colored.includes("\x1b[31m"), "Colored output highlights errors");
+  assertEqual(
+    colored.replace(/\x1b\[[0-9;]*m/g, ""),
+    plain,
+    "Color should not change the text",
+  );
+});
+
+// Machine-readable diagnostics
+
+runAsyncTest("Every error carries a known code", async () => {
+  const sources = [
+    "const a = 1 @ 2;",
+    "const = 1;",
+    "const a = b; const a = 1;",
+    'const a = true ? 1 : "one";',
+    "const main = () => { return [1]; };",
+  ];
+
+  for (const sourceCode of sources) {
+    const parsed = compile(sourceCode);
+    const errors = parsed.errors.length
+      ? parsed.errors
+      : compileToWasm(sourceCode).errors;
+
+    assert(errors.length > 0, `Expected errors for: ${sourceCode}`);
+    for (const error of errors) {
+      assert(
+        ERROR_CODES[error.code] !== undefined,
+        `Unknown code ${error.code} for: ${error.message}`,
+      );
+    }
+  }
+});
+
+runAsyncTest("Serialize diagnostics as JSON", async () => {
+  const { errors } = nameCheck(compile("const a = 1;\nconst a = b;").ast);
+
+  assertEqual(diagnosticsToJson(errors), [
+    {
+      code: "N002",
+      severity: "error",
+      phase: "naming",
+      message: "Reference to undeclared variable: b",
+      span: {
+        start: { offset: 23, line: 2, column: 11 },
+        end: { offset: 24, line: 2, column: 12 },
+      },
+    },
+    {
+      code: "N001",
+      severity: "error",
+      phase: "naming",
+      message: "Duplicate declaration of variable: a",
+      span: {
+        start: { offset: 13, line: 2, column: 1 },
+        end: { offset: 24, line: 2, column: 12 },
+      },
+    },
+  ]);
+});
+
+runAsyncTest("Serialize diagnostics as SARIF", async () => {
+  const { errors } = compileToWasm(`const main = () => {
+  return true ? 1 : "one";
+};`);
+  const log = diagnosticsToSarif(errors, { fileName: "src/main.ts" });
+  const [run] = log.runs;
+
+  assertEqual(log.version, "2.1.0");
+  assertEqual(run.results.length, 1, "Expected one result");
+
+  const [result] = run.results;
+  assertEqual(result.ruleId, "T004");
+  assertEqual(run.tool.driver.rules[result.ruleIndex].id, "T004");
+  assertEqual(result.level, "error");
+  assertEqual(result.locations[0].physicalLocation, {
+    artifactLocation: { uri: "src/main.ts" },
+    region: { startLine: 2, startColumn: 10, endLine: 2, endColumn: 26 },
+  });
+});
+
+// Error code catalog
+
+// Collects everything written to it, standing in for stdout/stderr
+function createOutputCapture() {
+  let text = "";
+  return {
+    write: (chunk) => {
+      text += chunk;
+    },
+    get text() {
+      return text;
+    },
+  };
+}
+
+runAsyncTest("Every catalog example produces its error code", async () => {
+  for (const [code, info] of Object.entries(ERROR_CODES)) {
+    assert(info.explanation, `${code} should have an explanation`);
+    if (!info.example) continue;
+
+    const parsed = compile(info.example);
+    const errors = parsed.errors.length
+      ? parsed.errors
+      : compileToWasm(info.example).errors || [];
+
+    assert(
+      errors.some((error) => error.code === code),
+      `Example for ${code} produced: ${errors.map((e) => e.code).join(", ")}`,
+    );
+  }
+});
+
+runAsyncTest("Explain an error code", async () => {
+  const explanation = explainCode("t004");
+
+  assert(
+    explanation.startsWith("T004: Ternary branch mismatch (typecheck)"),
+    "Explanation should start with the code and title",
+  );
+  assert(
+    explanation.includes('    const a = true ? 1 : "one";'),
+    "Explanation should include the indented example",
+  );
+  assertEqual(explainCode("X999"), null, "Unknown codes have no explanation");
+});
+
+runAsyncTest("CLI explain command", async () => {
+  const stdout = createOutputCapture();
+  const stderr = createOutputCapture();
+
+  assertEqual(runCli(["explain", "N001"], { stdout, stderr }), 0);
+  assertEqual(stdout.text, explainCode("N001") + "\n");
+
+  assertEqual(runCli(["explain", "Z123"], { stdout, stderr }), 1);
+  assertEqual(stderr.text, "Unknown error code: Z123\n");
+
+  const list = createOutputCapture();
+  runCli(["explain"], { stdout: list, stderr });
+  assert(
+    list.text.includes("T004  Ternary branch mismatch\n"),
+    "Listing should include every code",
+  );
+});
+
+runAsyncTest("CLI rejects unknown commands", async () => {
+  for (const commandName of ["bogus", "toString", "constructor"]) {
+    const stdout = createOutputCapture();
+    const stderr = createOutputCapture();
+
+    assertEqual(runCli([commandName], { stdout, stderr }), 1);
+    assert(
+      stderr.text.startsWith(`Unknown command: ${commandName}\n`),
+      `Expected an error for ${commandName}, got: ${stderr.text}`,
+    );
+  }
+});
+
+// Command-line driver
+
+// Write source code to a fresh temporary directory and run a test with its
+// path, removing the directory afterwards
+async function withTempSource(fileName, sourceCode, test) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "compiler-"));
+  try {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, sourceCode);
+    await test(filePath);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const CLI_SOURCE = `const add = (a, b) => {
+  return a + b;
+};
+
+const main = () => {
+  return add(40, 2.5);
+};
+`;
+
+runAsyncTest("CLI compiles a source file to .wasm", async () => {
+  await withTempSource("main.ts", CLI_SOURCE, async (filePath) => {
+    const stdout = createOutputCapture();
+    const stderr = createOutputCapture();
+
+    assertEqual(runCli(["compile", filePath], { stdout, stderr }), 0);
+    assertEqual(stderr.text, "", "No errors expected");
+
+    const wasmPath = filePath.replace(/\.ts$/, ".wasm");
+    const { exports } = await instantiateWasm(fs.readFileSync(wasmPath));
+    assertEqual(exports.main(), 42.5, "Compiled main should return 42.5");
+
+    const outputPath = path.join(path.dirname(filePath), "out.wasm");
+    runCli(["compile", filePath, "-o", outputPath], { stdout, stderr });
+    assert(fs.existsSync(outputPath), "-o should choose the output file");
+  });
+});
+
+runAsyncTest("CLI reports errors and exits non-zero", async () => {
+  await withTempSource(
+    "broken.ts",
+    "const main = () => {\n  return missing;\n};\n",
+    async (filePath) => {
+      const stdout = createOutputCapture();
+      const stderr = createOutputCapture();
+
+      assertEqual(runCli(["compile", filePath], { stdout, stderr }), 1);
+      assert(
+        stderr.text.includes("error[N002]: Reference to undeclared variable") &&
+          stderr.text.includes(`--> ${filePath}:2:10`),
+        `Expected a rendered diagnostic, got: ${stderr.text}`,
+      );
+      assert(
+        !fs.existsSync(filePath.replace(/\.ts$/, ".wasm")),
+        "No .wasm file should be written",
+      );
+
+      assertEqual(
+        runCli(["compile", filePath, "--emit=bytecode"], { stdout, stderr }),
+        1,
+        "Unknown --emit stages are rejected",
+      );
+
+      // Compiling a file that already ends in .wasm would replace it
+      const wasmSource = path.join(path.dirname(filePath), "input.wasm");
+      fs.writeFileSync(wasmSource, CLI_SOURCE);
+      assertEqual(runCli(["compile", wasmSource], { stdout, stderr }), 1);
+      assertEqual(
+        runCli(["compile", filePath, "-o", filePath], { stdout, stderr }),
+        1,
+      );
+      assert(
+        stderr.text.includes(
+          `Output would overwrite the source file: ${filePath}`,
+        ),
+        `Expected an overwrite error, got: ${stderr.text}`,
+      );
+      assertEqual(fs.readFileSync(wasmSource, "utf8"), CLI_SOURCE);
+    },
+  );
+});
+
+runAsyncTest("CLI reports errors as JSON or SARIF", async () => {
+  await withTempSource(
+    "broken.ts",
+    "const main = () => {\n  return missing;\n};\n",
+    async (filePath) => {
+      const report = (format) => {
+        const stdout = createOutputCapture();
+        const stderr = createOutputCapture();
+        const exitCode = runCli(["compile", filePath, `--format=${format}`], {
+          stdout,
+          stderr,
+        });
+        assertEqual(exitCode, 1, `--format=${format} should fail`);
+        return stderr.text;
+      };
+
+      const { errors } = compileToWasm(fs.readFileSync(filePath, "utf8"));
+      assertEqual(JSON.parse(report("json")), diagnosticsToJson(errors));
+      assertEqual(
+        JSON.parse(report("sarif")),
+        diagnosticsToSarif(errors, { fileName: filePath }),
+      );
+      assert(
+        report("text").includes("error[N002]"),
+        "--format=text renders code frames",
+      );
+      assert(
+        report("xml").includes("Unknown --format: xml"),
+        "Unknown formats are rejected",
+      );
+    },
+  );
+});
+
+runAsyncTest("CLI emits intermediate stages", async () => {
+  await withTempSource("stages.ts", CLI_SOURCE, async (filePath) => {
+    const emit = (stage) => {
+      const stdout = createOutputCapture();
+      const stderr = createOutputCapture();
+      const exitCode = runCli(["compile", filePath, `--emit=${stage}`], {
+        stdout,
+        stderr,
+      });
+      assertEqual(exitCode, 0, `--emit=${stage} failed: ${stderr.text}`);
+      return stdout.text;
+    };
+
+    const tokens = emit("tokens").split("\n");
+    assertEqual(tokens.slice(0, 3), [
+      "1:1 CONST const",
+      "1:7 IDENTIFIER add",
+      "1:11 EQUAL =",
+    ]);
+
+    const ast = JSON.parse(emit("ast"));
+    assertEqual(
+      ast.map((statement) => statement.id.name),
+      ["add", "main"],
+    );
+
+    assertEqual(emit("types"), "add : (a, a) -> a\nmain : () -> Number\n");
+
+    const wat = emit("wat");
+    assertEqual(wat, wasmToWat(compileToWasm(CLI_SOURCE).wasm) + "\n");
+    assert(
+      wat.includes('(export "main" (func 2))') && wat.includes("f64.add"),
+      `Unexpected WAT: ${wat}`,
+    );
+  });
+});
+
+runAsyncTest("WAT output for a conditional with locals", async () => {
+  const { wasm } = compileToWasm(`
+    const main = () => {
+      const x = 2;
+      return true ? x : 1.5;
+    };
+  `);
+
+  assertEqual(
+    wasmToWat(wasm),
+    [
+      "(module",
+      "  (type (;0;) (func (param f64)))",
+      "  (type (;1;) (func (result f64)))",
+      '  (import "console" "log" (func (;0;) (type 0)))',
+      "  (func (;1;) (type 1) (result f64)",
+      "    (local f64)",
+      "    f64.const 2",
+      "    local.set 0",
+      "    f64.const 1",
+      "    f64.const 0",
+      "    f64.ne",
+      "    if (result f64)",
+      "      local.get 0",
+      "    else",
+      "      f64.const 1.5",
+      "    end",
+      "  )",
+      "  (memory (;0;) 1)",
+      '  (export "memory" (memory 0))',
+      '  (export "main" (func 1))',
+      ")",
+    ].join("\n"),
+  );
+});
+
+// REPL
+
+runAsyncTest("REPL keeps declarations across entries", async () => {
+  const session = createSession();
+
+  assertEqual(
+    await session.evaluate("const add = (a, b) => { return a + b; };"),
+    "add : (a, a) -> a",
+  );
+  assertEqual(await session.evaluate("const x = 40;"), "x : Number");
+  assertEqual(await session.evaluate("add(x, 2.5)"), "42.5 : Number");
+  assertEqual(await session.evaluate("x * 2"), "80 : Number");
+  assertEqual(await session.evaluate('"hi"'), '"hi" : String');
+  assertEqual(await session.evaluate("true ? false : true"), "false : Boolean");
+  assertEqual(await session.evaluate("add"), "<function> : (a, a) -> a");
+});
+
+runAsyncTest("REPL evaluates each declaration once", async () => {
+  const session = createSession();
+
+  // Anything a declaration logs is printed when it's entered, and not
+  // again when its value is used
+  assertEqual(await session.evaluate("const a = log(5);"), "5\na : Number");
+  assertEqual(await session.evaluate("a + 1"), "6 : Number");
+  assertEqual(await session.evaluate("const b = a * 2;"), "b : Number");
+  assertEqual(await session.evaluate("b"), "10 : Number");
+  assertEqual(
+    await session.evaluate('const s = "hi"; const t = !(a < 1);'),
+    "s : String\nt : Boolean",
+  );
+  assertEqual(await session.evaluate('t ? s : "no"'), '"hi" : String');
+
+  // A declaration that can't be compiled is reported and forgotten
+  assert(
+    (await session.evaluate("const xs = [1];")).startsWith("error[W002]"),
+    "Array values can't be compiled yet",
+  );
+  assert(
+    (await session.evaluate("xs")).includes("undeclared variable: xs"),
+    "The failed declaration should not be remembered",
+  );
+});
+
+runAsyncTest("REPL only compiles the functions an entry uses", async () => {
+  const session = createSession();
+  await session.evaluate("const y = 3;");
+
+  // Functions can't refer to top-level values yet, but that only matters
+  // to entries that call this one
+  assertEqual(await session.evaluate("const g = () => y;"), "g : () -> Number");
+  assertEqual(await session.evaluate("y + 1"), "4 : Number");
+  assert(
+    (await session.evaluate("g()")).includes(
+      "error[W006]: Reference to undefined variable: y",
+    ),
+    "Calling g should report that y can't be used from a function",
+  );
+
+  await session.evaluate("const double = (x) => x * 2;");
+  await session.evaluate("const quadruple = (x) => double(double(x));");
+  assertEqual(await session.evaluate("quadruple(y)"), "12 : Number");
+});
+
+runAsyncTest("REPL reports errors and forgets the entry", async () => {
+  const session = createSession();
+
+  assertEqual(
+    await session.evaluate("const y = missing;"),
+    [
+      "error[N002]: Reference to undeclared variable: missing",
+      " --> <repl>:1:11",
+      "  |",
+      "1 | const y = missing;",
+      "  |           ^^^^^^^",
+    ].join("\n"),
+  );
+  assert(
+    (await session.evaluate("y")).includes("undeclared variable: y"),
+    "The failed declaration should not be remembered",
+  );
+  assert(
+    (await session.evaluate("1 +")).startsWith("error[P001]"),
+    "Syntax errors should be reported",
+  );
+});
+
+runAsyncTest("REPL commands", async () => {
+  const session = createSession();
+  await session.evaluate("const n = 2;");
+
+  assertEqual(await session.evaluate(":type n * 3"), "n * 3 : Number");
+  assertEqual(JSON.parse(await session.evaluate(":ast n * 3")), {
+    type: "BinaryExpression",
+    left: { type: "Identifier", name: "n" },
+    operator: "*",
+    right: { type: "NumericLiteral", value: 3 },
+  });
+
+  assertEqual(await session.evaluate(":reset"), "Session reset");
+  assert(
+    (await session.evaluate("n")).includes("undeclared variable: n"),
+    ":reset should forget declarations",
+  );
+
+  await withTempSource(
+    "lib.ts",
+    "const base = 40;\nconst offset = 2;\n",
+    async (filePath) => {
+      assertEqual(
+        await session.evaluate(`:load ${filePath}`),
+        "base : Number\noffset : Number",
+      );
+      assertEqual(await session.evaluate("base + offset"), "42 : Number");
+    },
+  );
+});
+
+// Language server
+
+// Start a language server on in-memory streams, returning a scripted client
+function createLspClient() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const client = { messages: [], exitCode: null };
+  const waiting = [];
+
+  startServer({
+    input,
+    output,
+    onExit: (code) => {
+      client.exitCode = code;
+    },
+  });
+
+  output.on(
+    "data",
+    createMessageReader((body) => {
+      const message = JSON.parse(body);
+      const index = waiting.findIndex(({ matches }) => matches(message));
+      if (index === -1) {
+        client.messages.push(message);
+      } else {
+        waiting.splice(index, 1)[0].resolve(message);
+      }
+    }),
+  );
+
+  // Resolve with the first message from the server that matches
+  const receive = (matches) => {
+    const index = client.messages.findIndex(matches);
+    if (index !== -1) {
+      return Promise.resolve(client.messages.splice(index, 1)[0]);
+    }
+    return new Promise((resolve) => waiting.push({ matches, resolve }));
+  };
+
+  let nextId = 1;
+
+  client.request = (method, params) => {
+    const id = nextId++;
+    input.write(encodeMessage({ jsonrpc: "2.0", id, method, params }));
+    return receive((message) => message.id === id);
+  };
+
+  client.notify = (method, params) => {
+    input.write(encodeMessage({ jsonrpc: "2.0", method, params }));
+  };
+
+  client.diagnostics = async (uri) => {
+    const message = await receive(
+      (message) =>
+        message.method === "textDocument/publishDiagnostics" &&
+        message.params.uri === uri,
+    );
+    return message.params.diagnostics;
+  };
+
+  return client;
+}
+
+const LSP_URI = "file:///main.ts";
+
+runAsyncTest("Language server publishes diagnostics on change", async () => {
+  const client = createLspClient();
+
+  const { result } = await client.request("initialize", {
+    capabilities: {},
+  });
+  assertEqual(result.capabilities.textDocumentSync, 1);
+  assert(result.capabilities.hoverProvider, "Hover should be supported");
+  client.notify("initialized", {});
+
+  client.notify("textDocument/didOpen", {
+    textDocument: {
+      uri: LSP_URI,
+      languageId: "typescript",
+      version: 1,
+      text: 'const x = 1;\nconst y = x + "one";\n',
+    },
+  });
+  assertEqual(await client.diagnostics(LSP_URI), [
+    {
+      range: {
+        start: { line: 1, character: 10 },
+        end: { line: 1, character: 19 },
+      },
+      severity: 1,
+      code: "T002",
+      source: "compiler-workshop",
+      message: "Type mismatch in binary operation: cannot add Number to String",
+      relatedInformation: [
+        {
+          location: {
+            uri: LSP_URI,
+            range: {
+              start: { line: 0, character: 10 },
+              end: { line: 0, character: 11 },
+            },
+          },
+          message: "expected Number because of this literal",
+        },
+      ],
+    },
+  ]);
+
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 2 },
+    contentChanges: [{ text: "const x = 1;\nconst y = missing;\n" }],
+  });
+  const [diagnostic] = await client.diagnostics(LSP_URI);
+  assertEqual(diagnostic.code, "N002");
+  assertEqual(diagnostic.range.start, { line: 1, character: 10 });
+
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 3 },
+    contentChanges: [{ text: "const x = 1;\nconst y = x + 1;\n" }],
+  });
+  assertEqual(await client.diagnostics(LSP_URI), []);
+
+  const unknown = await client.request("workspace/symbol", { query: "" });
+  assertEqual(unknown.error.code, -32601);
+  const inherited = await client.request("toString");
+  assertEqual(inherited.error.code, -32601);
+  client.notify("constructor");
+
+  assertEqual((await client.request("shutdown")).result, null);
+  client.notify("exit");
+  // Messages are handled in order, so once this is answered, so is `exit`
+  await client.request("shutdown");
+  assertEqual(client.exitCode, 0);
+});
+
+runAsyncTest("Language server reports a compiler failure", async () => {
+  const client = createLspClient();
+  await client.request("initialize", { capabilities: {} });
+  client.notify("textDocument/didOpen", {
+    textDocument: {
+      uri: LSP_URI,
+      languageId: "typescript",
+      version: 1,
+      text: "const a=1;",
+    },
+  });
+  await client.diagnostics(LSP_URI);
+
+  // Nesting this deep overflows the parser's stack
+  const depth = 20000;
+  const text = `const b = ${"(".repeat(depth)}1${")".repeat(depth)};\n\n\n`;
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 2 },
+    contentChanges: [{ text }],
+  });
+  const [diagnostic] = await client.diagnostics(LSP_URI);
+  assert(
+    diagnostic.message.startsWith("Internal error:"),
+    `Expected an internal error, got: ${diagnostic.message}`,
+  );
+
+  // The server has the new text, so it doesn't offer to format the old one
+  const formatting = await client.request("textDocument/formatting", {
+    textDocument: { uri: LSP_URI },
+    options: { tabSize: 2, insertSpaces: true },
+  });
+  assertEqual(formatting.result, undefined);
+  assertEqual(formatting.error.code, -32603);
+});
+
+runAsyncTest("Language server answers questions about a document", async () => {
+  const client = createLspClient();
+  await client.request("initialize", { capabilities: {} });
+
+  const text = [
+    "const scale = 2;",
+    "const double = (n) => {",
+    "  return n * scale;",
+    "};",
+    "",
+  ].join("\n");
+  client.notify("textDocument/didOpen", {
+    textDocument: { uri: LSP_URI, languageId: "typescript", version: 1, text },
+  });
+  await client.diagnostics(LSP_URI);
+  const textDocument = { uri: LSP_URI };
+
+  // Hover over `scale` in the return statement
+  const hover = await client.request("textDocument/hover", {
+    textDocument,
+    position: { line: 2, character: 14 },
+  });
+  assertEqual(hover.result, {
+    contents: { kind: "markdown", value: "```\nscale : Number\n```" },
+    range: {
+      start: { line: 2, character: 13 },
+      end: { line: 2, character: 18 },
+    },
+  });
+
+  // Nothing to show over a keyword
+  const noHover = await client.request("textDocument/hover", {
+    textDocument,
+    position: { line: 2, character: 3 },
+  });
+  assertEqual(noHover.result, null);
+
+  // `n` is defined by the parameter, and `scale` by the first declaration
+  const parameter = await client.request("textDocument/definition", {
+    textDocument,
+    position: { line: 2, character: 9 },
+  });
+  assertEqual(parameter.result, {
+    uri: LSP_URI,
+    range: {
+      start: { line: 1, character: 16 },
+      end: { line: 1, character: 17 },
+    },
+  });
+  const constant = await client.request("textDocument/definition", {
+    textDocument,
+    position: { line: 2, character: 18 },
+  });
+  assertEqual(constant.result.range.start, { line: 0, character: 6 });
+
+  const symbols = await client.request("textDocument/documentSymbol", {
+    textDocument,
+  });
+  assertEqual(
+    symbols.result.map(({ name, kind, detail }) => ({ name, kind, detail })),
+    [
+      { name: "scale", kind: 14, detail: "Number" },
+      { name: "double", kind: 12, detail: "Number -> Number" },
+    ],
+  );
+  assertEqual(symbols.result[1].range, {
+    start: { line: 1, character: 0 },
+    end: { line: 3, character: 1 },
+  });
+
+  // A line being edited doesn't stop questions about the rest
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 2 },
+    contentChanges: [{ text: text + "const broken = scale +;\n" }],
+  });
+  const [syntaxError] = await client.diagnostics(LSP_URI);
+  assertEqual(syntaxError.code, "P001");
+  const hoverDespiteError = await client.request("textDocument/hover", {
+    textDocument,
+    position: { line: 2, character: 14 },
+  });
+  assertEqual(
+    hoverDespiteError.result.contents.value,
+    "```\nscale : Number\n```",
+  );
+  const definitionDespiteError = await client.request(
+    "textDocument/definition",
+    { textDocument, position: { line: 2, character: 18 } },
+  );
+  assertEqual(definitionDespiteError.result.range.start, {
+    line: 0,
+    character: 6,
+  });
+
+  // Formatting replaces the whole document
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 2 },
+    contentChanges: [{ text: "const a=1;\n\nconst b =a*2 ;" }],
+  });
+  await client.diagnostics(LSP_URI);
+  const formatting = await client.request("textDocument/formatting", {
+    textDocument,
+    options: { tabSize: 2, insertSpaces: true },
+  });
+  assertEqual(formatting.result, [
+    {
+      range: {
+        start: { line: 0, character: 0 },
+        end: { line: 2, character: 14 },
+      },
+      newText: "const a = 1;\nconst b = a * 2;\n",
+    },
+  ]);
+
+  // Code with syntax errors is left alone
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 3 },
+    contentChanges: [{ text: "const a = ;" }],
+  });
+  await client.diagnostics(LSP_URI);
+  const unformatted = await client.request("textDocument/formatting", {
+    textDocument,
+    options: { tabSize: 2, insertSpaces: true },
+  });
+  assertEqual(unformatted.result, []);
+
+  // So is code with comments, which formatting would otherwise delete
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: LSP_URI, version: 4 },
+    contentChanges: [{ text: "// The answer\nconst a=42; /* unformatted */" }],
+  });
+  await client.diagnostics(LSP_URI);
+  const commented = await client.request("textDocument/formatting", {
+    textDocument,
+    options: { tabSize: 2, insertSpaces: true },
+  });
+  assertEqual(commented.result, []);
+});
+
+// Function types
+
+// Parse, name-check and type-check a program, returning its parse tree and
+// everything typeCheck returns
+function typeCheckSource(sourceCode) {
+  const { ast, errors } = compile(sourceCode);
+  assertEqual(errors, [], "No syntax errors expected");
+  assertEqual(nameCheck(ast).errors, [], "No naming errors expected");
+  return { ast, ...typeCheck(ast) };
+}
+
+runAsyncTest("Calls check argument types against parameters", async () => {
+  const { errors } = typeCheckSource(`const double = (x) => {
+  return x * 2;
+};
+const y = double("two");`);
+
+  assertEqual(errors.length, 1);
+  assertEqual(errors[0].code, "T001");
+  assertEqual(
+    errors[0].message,
+    "Type mismatch: cannot unify Number with String",
+  );
+  assertEqual(errors[0].span.start, { offset: 60, line: 4, column: 18 });
+});
+
+runAsyncTest("Calls check the number of arguments", async () => {
+  const { errors } = typeCheckSource(`const add = (a, b) => {
+  return a + b;
+};
+const one = add(1);
+const three = add(1, 2, 3);`);
+
+  assertEqual(
+    errors.map((error) => [error.code, error.message]),
+    [
+      ["T008", "Wrong number of arguments: expected 2, got 1"],
+      ["T008", "Wrong number of arguments: expected 2, got 3"],
+    ],
+  );
+});
+
+runAsyncTest("Only functions can be called", async () => {
+  const { errors } = typeCheckSource(`const x = 1;
+const y = x(2);`);
+
+  assertEqual(errors.length, 1);
+  assertEqual(errors[0].code, "T009");
+  assertEqual(
+    errors[0].message,
+    "Type mismatch: cannot call a value of type Number",
+  );
+});
+
+runAsyncTest("Return types flow out of calls", async () => {
+  const { errors } = typeCheckSource(`const greet = () => {
+  return "hello";
+};
+const n = greet() * 2;`);
+
+  assertEqual(
+    errors.map((error) => error.code),
+    ["T003"],
+    "Multiplying a String return value should be an error",
+  );
+});
+
+runAsyncTest("Higher-order functions infer their parameter types", async () => {
+  const { errors, environment } = typeCheckSource(`const apply = (f, x) => {
+  return f(x);
+};
+const increment = (n) => {
+  return n + 1;
+};
+const y = apply(increment, 1);`);
+
+  assertEqual(errors, []);
+  assertEqual(environment.y, { concrete: "Number" });
+
+  // increment only takes Numbers, so apply can't pass it a String
+  const mismatch = typeCheckSource(`const apply = (f, x) => {
+  return f(x);
+};
+const increment = (n) => {
+  return n + 1;
+};
+const z = apply(increment, "one");`);
+  assertEqual(
+    mismatch.errors.map((error) => error.code),
+    ["T001"],
+  );
+});
+
+// Let-polymorphism
+
+runAsyncTest(
+  "Const-bound functions can be used at different types",
+  async () => {
+    const { errors, environment } = typeCheckSource(`const identity = (x) => {
+  return x;
+};
+const n = identity(5);
+const s = identity("hello");
+const b = identity(true);
+
+const applyFn = (fn, x) => {
+  return fn(x);
+};
+const add1 = (x) => {
+  return x + 1;
+};
+const exclaim = (s) => {
+  return s + "!";
+};
+const numResult = applyFn(add1, 5);
+const strResult = applyFn(exclaim, "hello");`);
+
+    assertEqual(errors, []);
+
+    const typeOf = (name) => formatType(environment[name]);
+    assertEqual(typeOf("n"), "Number");
+    assertEqual(typeOf("s"), "String");
+    assertEqual(typeOf("b"), "Boolean");
+    assertEqual(typeOf("numResult"), "Number");
+    assertEqual(typeOf("strResult"), "String");
+  },
+);
+
+runAsyncTest("Each use of a polymorphic function is checked", async () => {
+  const { errors } = typeCheckSource(`const double = (x) => {
+  return x + x;
+};
+const mixed = double(5) + double("hello");`);
+
+  assertEqual(
+    errors.map((error) => error.code),
+    ["T002"],
+  );
+});
+
+runAsyncTest("Parameters are not generalized", async () => {
+  // y has the same type as x, which is fixed for the whole function body,
+  // so it can't be both a Number and a String
+  const { errors } = typeCheckSource(`const f = (x) => {
+  const y = x;
+  const doubled = y * 2;
+  return y + "!";
+};`);
+
+  assertEqual(
+    errors.map((error) => error.code),
+    ["T002"],
+  );
+});
+
+// Infinite types
+
+runAsyncTest("Self-application is an infinite type", async () => {
+  const sourceCode = `const selfApply = (f) => {
+  return f(f);
+};`;
+  const { errors } = typeCheckSource(sourceCode);
+
+  assertEqual(errors.length, 1);
+  assertEqual(
+    renderDiagnostic(errors[0], sourceCode),
+    [
+      "error[T010]: Infinite type: a = a -> b",
+      " --> <input>:2:10",
+      "  |",
+      "2 |   return f(f);",
+      "  |          ^^^^",
+    ].join("\n"),
+  );
+
+  // The cycle is found among several parameters too
+  const nested = typeCheckSource(`const twice = (f, x) => {
+  return f(f, x);
+};`);
+  assertEqual(
+    nested.errors.map((error) => error.message),
+    ["Infinite type: a = (a, b) -> c"],
+  );
+});
+
+// Type annotations
+
+runAsyncTest(
+  "Type annotations are checked against inferred types",
+  async () => {
+    const sourceCode = `const count: number = "three";
+const label = (n: number): string => {
+  return n;
+};`;
+    const { errors } = typeCheckSource(sourceCode);
+
+    assertEqual(
+      renderDiagnostics(errors, sourceCode),
+      [
+        "error[T001]: Type mismatch: cannot unify Number with String",
+        " --> <input>:1:14",
+        "  |",
+        '1 | const count: number = "three";',
+        "  |              ^^^^^^",
+        "  |                       ------- got String from this literal",
+        "",
+        "error[T001]: Type mismatch: cannot unify String with Number",
+        " --> <input>:2:28",
+        "  |",
+        "2 | const label = (n: number): string => {",
+        "  |                            ^^^^^^",
+        "  |                   ------ got Number from this annotation",
+      ].join("\n"),
+    );
+  },
+);
+
+runAsyncTest("Type annotations narrow inferred types", async () => {
+  // Without annotations, these would be polymorphic
+  const { errors } = typeCheckSource(`const identity = (x: string) => {
+  return x;
+};
+const twice: (x: number) => number = (x) => {
+  return x;
+};
+const a = identity(1);
+const b = twice("two");`);
+
+  assertEqual(
+    errors.map((error) => [error.code, error.span.start.line]),
+    [
+      ["T001", 7],
+      ["T001", 8],
+    ],
+  );
+
+  const unknown = typeCheckSource(`const x: integer = 1;`);
+  assertEqual(
+    unknown.errors.map((error) => [error.code, error.message]),
+    [["T011", "Unknown type in annotation: integer"]],
+  );
+});
+
+// Array types
+
+runAsyncTest("Arrays are typed by their elements", async () => {
+  const { errors } = typeCheckSource(`const numbers = () => {
+  return [1, 2];
+};
+const strings = () => {
+  return ["a"];
+};
+const either = true ? numbers() : strings();
+const grid: Array<Array<number>> = [["a"]];
+const first = (xs: Array<number>) => {
+  return xs;
+};
+const y = first(["b"]);`);
+
+  assertEqual(
+    errors.map((error) => [error.code, error.message, error.span.start.line]),
+    [
+      [
+        "T004",
+        "Type mismatch in ternary: branches must have the same type, got Array<Number> and Array<String>",
+        7,
+      ],
+      [
+        "T001",
+        "Type mismatch: cannot unify Array<Array<Number>> with Array<Array<String>>",
+        8,
+      ],
+      [
+        "T001",
+        "Type mismatch: cannot unify Array<Number> with Array<String>",
+        12,
+      ],
+    ],
+  );
+});
+
+runAsyncTest("Empty arrays take their element type from use", async () => {
+  const { errors } = typeCheckSource(`const empty = [];
+const numbers = true ? empty : [1];
+const strings = true ? empty : ["a"];
+const none = () => {
+  return [];
+};
+const typed: Array<boolean> = none();`);
+
+  assertEqual(errors, []);
+
+  // A parameter's array type is fixed for the whole body, though
+  const mismatch = typeCheckSource(`const fill = (xs) => {
+  const a = true ? xs : [1];
+  return true ? xs : ["a"];
+};`);
+  assertEqual(
+    mismatch.errors.map((error) => error.message),
+    [
+      "Type mismatch in ternary: branches must have the same type, got Array<Number> and Array<String>",
+    ],
+  );
+});
+
+// Type printing
+
+runAsyncTest("Types print with named type variables", async () => {
+  const { ast, environment } = typeCheckSource(`const apply = (f, x) => {
+  return f(x);
+};
+const callWithFive = (f) => {
+  return f(5);
+};
+const same = (a, b) => {
+  return true ? a : b;
+};
+const compose = (f) => {
+  return (x) => {
+    return f(f(x));
+  };
+};
+const nested = () => {
+  return [[1]];
+};`);
+
+  assertEqual(
+    ast.map((statement) => formatType(environment[statement.id.name])),
+    [
+      "(a -> b, a) -> b",
+      "(Number -> a) -> a",
+      "(a, a) -> a",
+      "(a -> a) -> a -> a",
+      "() -> Array<Array<Number>>",
+    ],
+  );
+});
+
+runAsyncTest("Type errors describe non-concrete types", async () => {
+  const { errors } = typeCheckSource(`const identity = (x) => {
+  return x;
+};
+const a = identity * 2;
+const b = true ? identity : 1;
+const c = [identity, "two"];`);
+
+  assertEqual(
+    errors.map((error) => error.message),
+    [
+      "Type mismatch: expected Number for left operand of '*' operator, got a -> a",
+      "Type mismatch in ternary: branches must have the same type, got a -> a and Number",
+      "Type mismatch in array literal: array elements must have consistent types, found a -> a and String",
+    ],
+  );
+});
+
+// Typed output
+
+runAsyncTest("typeCheck returns the type of every expression", async () => {
+  const { ast, types } = typeCheckSource(`const add = (a, b) => {
+  return a + b;
+};
+const greeting = add("hello, ", "world");`);
+
+  const [a, b] = ast[0].init.params;
+  const sum = ast[0].init.body.body[0].argument;
+  const call = ast[1].init;
+
+  // Inside add, a, b and a + b are all the same (polymorphic) type
+  assertEqual(types.get(a), types.get(sum));
+  assertEqual(types.get(b), types.get(sum));
+  assertEqual(types.get(sum).variable !== undefined, true);
+
+  assertEqual(formatType(types.get(ast[0].id)), "(a, a) -> a");
+  assertEqual(formatType(types.get(ast[0].init)), "(a, a) -> a");
+  assertEqual(types.get(call), { concrete: "String" });
+  assertEqual(types.get(call.arguments[0]), { concrete: "String" });
+  assertEqual(formatType(types.get(call.callee)), "(String, String) -> String");
+  assertEqual(types.get(ast[1].id), { concrete: "String" });
+
+  // Statements have no type of their own
+  assertEqual(types.has(ast[0]), false);
+  assertEqual(types.has(ast[0].init.body), false);
+});
+
+runAsyncTest("typeCheck returns the type of each top-level name", async () => {
+  const { environment } = typeCheckSource(`const identity = (x) => {
+  return x;
+};
+const numbers = [identity(1), 2];
+const main = () => {
+  const local = "not top-level";
+  return identity(true);
+};`);
+
+  assertEqual(Object.keys(environment), ["identity", "numbers", "main"]);
+  assertEqual(environment.numbers, { array: { concrete: "Number" } });
+  assertEqual(environment.main, {
+    function: { params: [], returns: { concrete: "Boolean" } },
+  });
+  assertEqual(formatType(environment.identity), "a -> a");
+});
+
+runAsyncTest("Types outlive the next call to typeCheck", async () => {
+  const first = typeCheckSource("const x = [true];");
+  typeCheckSource(`const y = "a string";
+const z = 1 + 2;`);
+
+  assertEqual(formatType(first.environment.x), "Array<Boolean>");
+  assertEqual(formatType(first.types.get(first.ast[0].init)), "Array<Boolean>");
+});
+
+// Compiler state
+
+runAsyncTest(
+  "Checkers check a program a few statements at a time",
+  async () => {
+    const first = compile("const double = (x) => { return x * 2; };").ast;
+    const second = compile(`const four = double(2);
+const double = 0;`).ast;
+
+    const names = createNameChecker();
+    assertEqual(names.check(first).errors, []);
+    assertEqual(
+      names.check(second).errors.map((error) => error.message),
+      ["Duplicate declaration of variable: double"],
+    );
+
+    const types = createTypeChecker();
+    assertEqual(types.check(first).errors, []);
+    const { errors, environment } = types.check(second.slice(0, 1));
+    assertEqual(errors, []);
+    assertEqual(formatType(environment.double), "Number -> Number");
+    assertEqual(environment.four, { concrete: "Number" });
+  },
+);
+
+runAsyncTest("Separate checkers don't share state", async () => {
+  const numbers = createTypeChecker();
+  const strings = createTypeChecker();
+
+  numbers.check(compile("const x = 1;").ast);
+  strings.check(compile('const x = "one";').ast);
+
+  // Checking another program in between doesn't disturb either checker
+  typeCheck(compile("const x = true;").ast);
+
+  const sum = compile("const y = x + 1;").ast;
+  assertEqual(numbers.check(sum).errors, []);
+  assertEqual(
+    strings.check(sum).errors.map((error) => error.code),
+    ["T002"],
+  );
+});
+
+runAsyncTest("Forked checkers leave the original unchanged", async () => {
+  const types = createTypeChecker();
+  types.check(compile("const identity = (x) => { return x; };").ast);
+
+  const fork = types.fork();
+  fork.check(compile("const n = identity(1);").ast);
+  assertEqual(Object.keys(fork.check([]).environment), ["identity", "n"]);
+  assertEqual(Object.keys(types.check([]).environment), ["identity"]);
+
+  const names = createNameChecker();
+  names.check(compile("const a = 1;").ast);
+  names.fork().check(compile("const b = a;").ast);
+  assertEqual(
+    names.check(compile("const c = b;").ast).errors.map((e) => e.code),
+    ["N002"],
+  );
+});
+
+runAsyncTest("REPL checks each entry against the session", async () => {
+  const session = createSession();
+  await session.evaluate("const x = 40;");
+
+  assert(
+    (await session.evaluate('const bad = x + "!";')).startsWith("error[T002]"),
+    "Type errors should be reported",
+  );
+  assertEqual(await session.evaluate("const bad = x + 2;"), "bad : Number");
+  assertEqual(await session.evaluate("bad"), "42 : Number");
+});
+
+// Secondary labels
+
+runAsyncTest("Type mismatches point at where each type came from", async () => {
+  const sourceCode = `const double = (x) => {
+  return x * 2;
+};
+const word = "two";
+const result = double(word);`;
+  const { errors } = typeCheckSource(sourceCode);
+
+  assertEqual(
+    renderDiagnostics(errors, sourceCode),
+    [
+      "error[T001]: Type mismatch: cannot unify Number with String",
+      " --> <input>:5:23",
+      "  |",
+      "2 |   return x * 2;",
+      "  |          ----- expected Number because of this `*`",
+      "...",
+      '4 | const word = "two";',
+      "  |              ----- got String from this literal",
+      "5 | const result = double(word);",
+      "  |                       ^^^^",
+    ].join("\n"),
+  );
+  assertEqual(
+    errors[0].labels.map((label) => label.node.type),
+    ["BinaryExpression", "StringLiteral"],
+  );
+});
+
+runAsyncTest("Labels leave out what the error already points at", async () => {
+  // The literal is the argument the error points at
+  const { errors } = typeCheckSource(`const double = (x) => {
+  return x * 2;
+};
+const result = double("two");`);
+  assertEqual(
+    errors[0].labels.map((label) => label.message),
+    ["expected Number because of this `*`"],
+  );
+
+  // The condition is both where Boolean is expected and the error
+  const conditional = typeCheckSource(`const pick = (flag) => {
+  return flag ? 1 : 2;
+};
+const n = pick(0);`);
+  assertEqual(
+    conditional.errors[0].labels.map((label) => label.message),
+    ["expected Boolean because of this condition"],
+  );
+
+  const noLabels = typeCheckSource(`const n = 1 * "two";`);
+  assertEqual(noLabels.errors[0].labels, []);
+});
+
+runAsyncTest("REPL shows labels only within the entry", async () => {
+  const session = createSession();
+  await session.evaluate("const double = (x) => { return x * 2; };");
+
+  assertEqual(
+    await session.evaluate('double("two")'),
+    [
+      "error[T001]: Type mismatch: cannot unify Number with String",
+      " --> <repl>:1:8",
+      "  |",
+      '1 | double("two")',
+      "  |        ^^^^^",
+    ].join("\n"),
+  );
+  assert(
+    (await session.evaluate('const y = 1; const z = y + "s";')).includes(
+      "- expected Number because of this literal",
+    ),
+    "Labels within the entry should be shown",
+  );
+});
+
+// Error type
+
+runAsyncTest("One mistake is reported once", async () => {
+  const programs = {
+    T002: `const sum = 1 + "one";
+const doubled = sum * 2;
+const label = sum + "!";`,
+    T004: `const pick = true ? 1 : "one";
+const doubled = pick * 2;
+const label = pick + "!";`,
+    T006: `const xs = [1, "two"];
+const ys = true ? xs : [3];
+const zs = true ? xs : ["four"];`,
+    T009: `const n = 5;
+const r = n(1);
+const doubled = r * 2;
+const label = r + "!";`,
+    T011: `const double = (x: Numbr) => {
+  return x * 2;
+};
+const y = double("two");`,
+  };
+
+  for (const [code, sourceCode] of Object.entries(programs)) {
+    const { errors } = typeCheckSource(sourceCode);
+    assertEqual(
+      errors.map((error) => error.code),
+      [code],
+      `Expected only ${code} from:\n${sourceCode}`,
+    );
+  }
+});
+
+runAsyncTest("Expressions with type errors have the error type", async () => {
+  const { ast, types, environment } = typeCheckSource(`const sum = 1 + "one";
+const label = sum + "!";`);
+
+  assertEqual(environment.sum, { error: true });
+  assertEqual(environment.label, { error: true });
+  assertEqual(formatType(types.get(ast[0].init)), "<error>");
+
+  // The error type doesn't hide mistakes that don't involve it
+  const { errors } = typeCheckSource(`const sum = 1 + "one";
+const product = 2 * "three";`);
+  assertEqual(
+    errors.map((error) => error.code),
+    ["T002", "T003"],
+  );
+});
+
+// Recursion
+
+runAsyncTest("Top-level functions can refer to themselves", async () => {
+  const { errors, environment } = typeCheckSource(`const countDown = (n) => {
+  return n * countDown(n);
+};`);
+
+  assertEqual(errors, []);
+  assertEqual(formatType(environment.countDown), "Number -> Number");
+});
+
+runAsyncTest("Top-level functions can be mutually recursive", async () => {
+  const { ast, errors, environment } =
+    typeCheckSource(`const ping = (flag, n) => {
+  return flag ? pong(false, n + 1) : n;
+};
+const pong = (flag, n) => {
+  return flag ? n : ping(false, n * 10);
+};`);
+
+  assertEqual(errors, []);
+  assertEqual(formatType(environment.ping), "(Boolean, Number) -> Number");
+  assertEqual(formatType(environment.pong), "(Boolean, Number) -> Number");
+
+  // The use of pong in ping's body links to pong's declaration
+  const call = ast[0].init.body.body[0].argument.consequent;
+  assert(
+    call.callee.declaration === ast[1].id,
+    "pong should refer to its declaration",
+  );
+});
+
+runAsyncTest(
+  "Recursive functions are generalized after their group",
+  async () => {
+    const { errors, environment } = typeCheckSource(`const loop = (x) => {
+  return loop(x);
+};
+const n = loop(1);
+const s = loop("one");`);
+
+    assertEqual(errors, []);
+    assertEqual(formatType(environment.loop), "a -> b");
+
+    // Inside its own body, a function has just one type
+    const mismatch = typeCheckSource(`const f = (x) => {
+  return f(x, 1);
+};`);
+    assertEqual(
+      mismatch.errors.map((error) => error.message),
+      ["Type mismatch: cannot unify (a, Number) -> b with a -> b"],
+    );
+  },
+);
+
+runAsyncTest("Only function bodies see later declarations", async () => {
+  const early = compile(`const x = f(1);
+const f = (n) => {
+  return n;
+};
+const g = () => {
+  return later;
+};
+const later = 1;`);
+  assertEqual(
+    nameCheck(early.ast).errors.map((error) => error.message),
+    [
+      "Reference to undeclared variable: f",
+      "Reference to undeclared variable: later",
+    ],
+  );
+});
+
+runAsyncTest("Recursive functions compile to WebAssembly", async () => {
+  const { success, exports } =
+    await compileAndRunWasm(`const ping = (flag, n) => {
+  return flag ? pong(false, n + 1) : n;
+};
+const pong = (flag, n) => {
+  return flag ? n : ping(false, n * 10);
+};
+const main = () => {
+  return ping(true, 1);
+};`);
+
+  assert(success, "The program should compile and run");
+  assertEqual(exports.main(), 20);
+});
+
+// Comparisons
+
+runAsyncTest("Comparison operators are tokenized", async () => {
+  assertEqual(
+    tokenize("a == b != c < d <= e > f >= g").map((token) => token.type),
+    [
+      "IDENTIFIER",
+      "EQUAL_EQUAL",
+      "IDENTIFIER",
+      "NOT_EQUAL",
+      "IDENTIFIER",
+      "LESS_THAN",
+      "IDENTIFIER",
+      "LESS_EQUAL",
+      "IDENTIFIER",
+      "GREATER_THAN",
+      "IDENTIFIER",
+      "GREATER_EQUAL",
+      "IDENTIFIER",
+      "EOF",
+    ],
+  );
+});
+
+runAsyncTest("Comparisons bind more loosely than arithmetic", async () => {
+  const { ast, errors } = compile("const a = x + 1 < y * 2 ? x : y;");
+  assertEqual(errors, []);
+
+  const { test } = ast[0].init;
+  assertEqual(test.operator, "<");
+  assertEqual(test.left.operator, "+");
+  assertEqual(test.right.operator, "*");
+});
+
+runAsyncTest("Generic brackets aren't mistaken for comparisons", async () => {
+  const { ast, errors } = compile(`const xs: Array<number>= [1];
+const f = (ys: Array<boolean>) => {
+  return ys;
+};`);
+
+  assertEqual(errors, []);
+  assertEqual(ast[0].typeAnnotation.type, "ArrayTypeAnnotation");
+  assertEqual(ast[0].init.type, "ArrayLiteral");
+});
+
+runAsyncTest("Comparisons produce Booleans", async () => {
+  const { errors, environment } = typeCheckSource(`const less = (a, b) => {
+  return a < b;
+};
+const same = (a, b) => a == b;
+const both = true != false;`);
+
+  assertEqual(errors, []);
+  assertEqual(formatType(environment.less), "(Number, Number) -> Boolean");
+  assertEqual(formatType(environment.same), "(Number, Number) -> Boolean");
+  assertEqual(formatType(environment.both), "Boolean");
+
+  const mismatches = typeCheckSource(`const a = "one" < 2;
+const b = 1 == "one";`);
+  assertEqual(
+    mismatches.errors.map((error) => [error.code, error.message]),
+    [
+      [
+        "T003",
+        "Type mismatch: expected Number for left operand of '<' operator, got String",
+      ],
+      [
+        "T002",
+        "Type mismatch in comparison: cannot compare Number with String",
+      ],
+    ],
+  );
+});
+
+runAsyncTest(
+  "Only Numbers and Booleans can be compared for equality",
+  async () => {
+    // Strings are pointers at run time, so comparing them would compare
+    // where they're stored rather than their text
+    const { errors } = typeCheckSource(`const a = "a" + "b" == "ab";
+const b = [1] != [1];
+const c = (s) => s == "x";`);
+    assertEqual(
+      errors.map((error) => [error.code, error.message]),
+      [
+        [
+          "T013",
+          "Cannot compare values of type String with '==': only Numbers and Booleans can be compared",
+        ],
+        [
+          "T013",
+          "Cannot compare values of type Array<Number> with '!=': only Numbers and Booleans can be compared",
+        ],
+        [
+          "T013",
+          "Cannot compare values of type String with '==': only Numbers and Booleans can be compared",
+        ],
+      ],
+    );
+  },
+);
+
+runAsyncTest("Comparisons compile to WebAssembly", async () => {
+  const session = createSession();
+  const results = [];
+  for (const entry of [
+    "1 < 2",
+    "2 <= 1",
+    "1 > 2",
+    "2 >= 2",
+    "1 == 1",
+    "1 != 1",
+  ]) {
+    results.push(await session.evaluate(entry));
+  }
+  assertEqual(results, [
+    "true : Boolean",
+    "false : Boolean",
+    "false : Boolean",
+    "true : Boolean",
+    "true : Boolean",
+    "false : Boolean",
+  ]);
+
+  // A ternary can now stop a recursive function
+  const { success, exports } =
+    await compileAndRunWasm(`const sumTo = (i, n, total) => {
+  return i > n ? total : sumTo(i + 1, n, total + i);
+};
+const main = () => {
+  return sumTo(1, 10, 0);
+};`);
+  assert(success, "The program should compile and run");
+  assertEqual(exports.main(), 55);
+});
+
+// Arithmetic
+
+runAsyncTest("Arithmetic operators follow precedence", async () => {
+  const { ast, errors } = compile("const a = -x * 2 - y / 3 % 4;");
+  assertEqual(errors, []);
+
+  // (-x * 2) - ((y / 3) % 4)
+  const { init } = ast[0];
+  assertEqual(init.operator, "-");
+  assertEqual(init.left.operator, "*");
+  assertEqual(init.left.left.type, "UnaryExpression");
+  assertEqual(init.right.operator, "%");
+  assertEqual(init.right.left.operator, "/");
+});
+
+runAsyncTest("Arithmetic operands must be Numbers", async () => {
+  const { errors, environment } = typeCheckSource(`const half = (n) => {
+  return n / 2;
+};
+const a = -"one";
+const b = true % 2;`);
+
+  assertEqual(formatType(environment.half), "Number -> Number");
+  assertEqual(
+    errors.map((error) => [error.code, error.message]),
+    [
+      [
+        "T003",
+        "Type mismatch: expected Number for operand of '-' operator, got String",
+      ],
+      [
+        "T003",
+        "Type mismatch: expected Number for left operand of '%' operator, got Boolean",
+      ],
+    ],
+  );
+});
+
+runAsyncTest("Arithmetic compiles to WebAssembly", async () => {
+  const session = createSession();
+  const evaluate = async (entries) => {
+    const results = [];
+    for (const entry of entries) {
+      results.push(await session.evaluate(entry));
+    }
+    return results;
+  };
+
+  assertEqual(
+    await evaluate(["1 + 2 * 3", "10 - 2 - 3", "7 / 2", "-7 % 3", "7.5 % 2"]),
+    ["7 : Number", "5 : Number", "3.5 : Number", "-1 : Number", "1.5 : Number"],
+  );
+
+  // Negation keeps the sign of zero, even when it's folded into a literal,
+  // while subtraction from zero doesn't. The remainder takes the sign of
+  // its left operand.
+  assertEqual(await evaluate(["-0", "-(1 - 1)", "0 - 0", "-4 % 2"]), [
+    "-0 : Number",
+    "-0 : Number",
+    "0 : Number",
+    "-0 : Number",
+  ]);
+
+  // Dividing by zero doesn't trap: it follows IEEE 754, as in JavaScript
+  assertEqual(await evaluate(["1 / 0", "-1 / 0", "1 / -0", "0 / 0", "5 % 0"]), [
+    "Infinity : Number",
+    "-Infinity : Number",
+    "-Infinity : Number",
+    "NaN : Number",
+    "NaN : Number",
+  ]);
+});
+
+runAsyncTest("Remainders are exact, as in JavaScript", async () => {
+  // There are no exponents in number literals, so write them out
+  const large = "1" + "0".repeat(308); // 1e308
+  const tiny = "0." + "0".repeat(307) + "1"; // 1e-308
+  const cases = [
+    ["100000000000000000", "3", 1e17 % 3], // a / b would round
+    ["10", "0.1", 10 % 0.1],
+    ["123456789.123", "0.001", 123456789.123 % 0.001],
+    [large, tiny, 1e308 % 1e-308],
+    ["-10", "0.1", -10 % 0.1],
+    ["5.5", "-2", 5.5 % -2],
+    ["0.3", "0.1", 0.3 % 0.1],
+    [tiny, large, 1e-308 % 1e308],
+    ["-0", "1", -0 % 1],
+    ["1", "1 / 0", 1 % Infinity],
+    ["1 / 0", "1", Infinity % 1],
+    ["1", "0 / 0", 1 % NaN],
+  ];
+
+  for (const [a, b, expected] of cases) {
+    const { success, exports } = await compileAndRunWasm(
+      `const main = () => (${a}) % (${b});`,
+    );
+    assert(success, `${a} % ${b} should compile`);
+    assert(
+      Object.is(exports.main(), expected),
+      `${a} % ${b} should be ${expected}, got ${exports.main()}`,
+    );
+  }
+});
+
+// Logical operators
+
+runAsyncTest("Logical operators follow precedence", async () => {
+  const { ast, errors } = compile("const a = x || y && !z == w;");
+  assertEqual(errors, []);
+
+  // x || (y && ((!z) == w))
+  const { init } = ast[0];
+  assertEqual([init.type, init.operator], ["LogicalExpression", "||"]);
+  assertEqual(
+    [init.right.type, init.right.operator],
+    ["LogicalExpression", "&&"],
+  );
+  assertEqual(init.right.right.operator, "==");
+  assertEqual(init.right.right.left.type, "UnaryExpression");
+});
+
+runAsyncTest("Logical operands must be Booleans", async () => {
+  const { errors, environment } = typeCheckSource(`const either = (a, b) => {
+  return a || !b;
+};
+const c = 1 && true;
+const d = !"yes";`);
+
+  assertEqual(formatType(environment.either), "(Boolean, Boolean) -> Boolean");
+  assertEqual(
+    errors.map((error) => [error.code, error.message]),
+    [
+      [
+        "T012",
+        "Type mismatch: expected Boolean for left operand of '&&' operator, got Number",
+      ],
+      [
+        "T012",
+        "Type mismatch: expected Boolean for operand of '!' operator, got String",
+      ],
+    ],
+  );
+});
+
+runAsyncTest("The built-in log function can be shadowed", async () => {
+  const { ast, errors, environment } = typeCheckSource(`const a = log(1);
+const b = log(true);`);
+  assertEqual(errors, []);
+  assertEqual(formatType(environment.b), "Boolean");
+  assert(
+    ast[0].init.callee.declaration.builtin,
+    "log should refer to the built-in",
+  );
+
+  const logged = [];
+  const { success, exports } = await compileAndRunWasm(
+    `const log = (n) => {
+  return n * 2;
+};
+const main = () => {
+  return log(3);
+};`,
+    { console: { log: (value) => logged.push(value) } },
+  );
+  assert(success, "The program should compile and run");
+  assertEqual(exports.main(), 6);
+  assertEqual(logged, []);
+
+  // A local log isn't the built-in either, and nested functions can't be
+  // compiled, so this is an error rather than a call to the host
+  const local = compileToWasm(`const main = () => {
+  const log = (x) => x * 2;
+  return log(3);
+};`);
+  assertEqual(
+    local.errors.map((error) => error.code),
+    ["W001", "W005"],
+  );
+
+  // Nor does a parameter named after a top-level function call it. (Nor
+  // can the function be passed as a value yet, hence W006.)
+  const parameter = compileToWasm(`const double = (x) => x * 2;
+const apply = (double, x) => double(x);
+const main = () => apply(double, 3);`);
+  assertEqual(
+    parameter.errors.map((error) => error.code),
+    ["W005", "W006"],
+  );
+});
+
+runAsyncTest("Only built-in functions are built in", async () => {
+  // Names that every object inherits aren't built-in functions
+  for (const name of ["toString", "constructor", "valueOf"]) {
+    const { ast } = compile(`const x = ${name};`);
+    assertEqual(
+      nameCheck(ast).errors.map((error) => error.message),
+      [`Reference to undeclared variable: ${name}`],
+    );
+
+    const result = compileToWasm(`const main = () => ${name}(1);`);
+    assertEqual(
+      result.errors.map((error) => error.code),
+      ["N002"],
+    );
+  }
+});
+
+runAsyncTest(
+  "Code generation treats every name as an ordinary name",
+  async () => {
+    const locals = await compileAndRunWasm(`
+    const constructor = (__proto__) => {
+      const toString = __proto__ * 2;
+      return toString + 1;
+    };
+
+    const main = () => {
+      return constructor(20);
+    };
+  `);
+    assert(
+      locals.success,
+      `WebAssembly compilation/instantiation failed: ${locals.error?.message || "unknown error"}`,
+    );
+    assertEqual(locals.exports.main(), 41);
+
+    // "constructor" is stored after "x", which takes a 4-byte length and 1 byte
+    const strings = await compileAndRunWasm(`
+    const first = () => "x";
+
+    const main = () => "constructor";
+  `);
+    assert(
+      strings.success,
+      `WebAssembly compilation/instantiation failed: ${strings.error?.message || "unknown error"}`,
+    );
+    assertEqual(strings.exports.main(), 5);
+  },
+);
+
+runAsyncTest(
+  "Type checking treats every name as an ordinary name",
+  async () => {
+    const { errors, environment } = typeCheckSource(`const __proto__ = "s";
+const y = __proto__ * 2;
+const constructor = 2;
+const z = constructor + 1;`);
+    assertEqual(
+      errors.map((error) => error.code),
+      ["T003"],
+    );
+    assertEqual(Object.keys(environment), [
+      "__proto__",
+      "y",
+      "constructor",
+      "z",
+    ]);
+    assertEqual(formatType(environment.__proto__), "String");
+    assertEqual(formatType(environment.constructor), "Number");
+    assertEqual(formatType(environment.z), "Number");
+
+    // An undeclared name that objects inherit has no type of its own
+    const { ast } = compile("const x = toString;");
+    nameCheck(ast);
+    assertEqual(formatType(typeCheck(ast).environment.x), "a");
+  },
+);
+
+runAsyncTest("log only takes Numbers and Booleans", async () => {
+  // The host receives an f64, so a String would arrive as its pointer
+  const message =
+    "Cannot log a value of type String: log only prints Numbers and Booleans";
+  const { errors, environment } = typeCheckSource(`const a = log("hi");
+const apply = (f, x) => f(x);
+const b = apply(log, "hi");
+const show = (x) => log(x);
+const c = show(true);`);
+  assertEqual(
+    errors.map((error) => [error.code, error.message]),
+    [
+      ["T014", message],
+      ["T014", message],
+      ["T001", "Type mismatch: cannot unify Number with Boolean"],
+    ],
+  );
+
+  // A function that logs its parameter is taken to log Numbers
+  assertEqual(formatType(environment.show), "Number -> Number");
+
+  // So no String reaches the host: there's no module to run
+  const output = await createSession().evaluate('log("hi")');
+  assertEqual(output.split("\n").includes("0"), false);
+  assert(output.includes(message), `Expected a type error, got: ${output}`);
+  assertEqual(
+    compileToWasm('const main = () => log("hi");').errors[0].code,
+    "T014",
+  );
+});
+
+runAsyncTest("Logical operators short-circuit", async () => {
+  const logged = [];
+  const { success, exports } = await compileAndRunWasm(
+    `const check = (n) => {
+  return log(n) > 0;
+};
+const main = () => {
+  return (check(0) && check(1)) || check(2) || check(3) ? 1 : 0;
+};`,
+    { console: { log: (value) => logged.push(value) } },
+  );
+
+  // check(1) isn't needed once check(0) is false, nor check(3) once
+  // check(2) is true
+  assert(success, "The program should compile and run");
+  assertEqual(exports.main(), 1);
+  assertEqual(logged, [0, 2]);
+
+  const session = createSession();
+  const results = [];
+  for (const entry of [
+    "false && log(true)",
+    "true && log(false)",
+    "true || log(false)",
+    "!(1 < 2) || log(true)",
+  ]) {
+    results.push(await session.evaluate(entry));
+  }
+  assertEqual(results, [
+    "false : Boolean",
+    "0\nfalse : Boolean",
+    "true : Boolean",
+    "1\ntrue : Boolean",
+  ]);
+});
+
+// Operator precedence
+
+runAsyncTest("Every infix operator has a token", async () => {
+  for (const [type, { operator }] of Object.entries(INFIX_OPERATORS)) {
+    assertEqual(tokenize(operator)[0].type, type);
+  }
+});
+
+runAsyncTest("Operators group by precedence and associativity", async () => {
+  const parseInit = (source) => compile(`const a = ${source};`).ast[0].init;
+
+  // Left-associative operators group to the left
+  const difference = parseInit("x - y - z");
+  assertEqual(difference.left.operator, "-");
+  assertEqual(difference.right.type, "Identifier");
+
+  // The ternary groups to the right
+  const ternary = parseInit("p ? x : q ? y : z");
+  assertEqual(ternary.test.type, "Identifier");
+  assertEqual(ternary.alternate.type, "ConditionalExpression");
+
+  // Equality binds more loosely than ordering, and ordering than arithmetic
+  const equality = parseInit("x < y == y + 1 > z");
+  assertEqual(equality.operator, "==");
+  assertEqual(equality.left.operator, "<");
+  assertEqual(equality.right.operator, ">");
+  assertEqual(equality.right.left.operator, "+");
+});
+
+runAsyncTest("The formatter keeps needed parentheses", async () => {
+  const cases = [
+    ["const a = (1+2)*3;", "const a = (1 + 2) * 3;"],
+    ["const a = ((1*2))+3;", "const a = 1 * 2 + 3;"],
+    ["const a = (x-y)-z;", "const a = x - y - z;"],
+    ["const a = x-(y-z);", "const a = x - (y - z);"],
+    ["const a = -(x+1);", "const a = -(x + 1);"],
+    ["const a = -(-x);", "const a = - -x;"],
+    ["const a = !(p&&q)||r;", "const a = !(p && q) || r;"],
+    ["const a = (p?x:y)?1:2;", "const a = (p ? x : y) ? 1 : 2;"],
+    ["const a = p?x:(q?y:z);", "const a = p ? x : q ? y : z;"],
+    ["const a = (p?1:2)+3;", "const a = (p ? 1 : 2) + 3;"],
+  ];
+
+  for (const [source, expected] of cases) {
+    const formatted = formatSourceCode(source);
+    assertEqual(formatted, expected);
+
+    // The formatted code means the same as the original
+    assertEqual(
+      astToJson(compile(formatted).ast),
+      astToJson(compile(source).ast),
+    );
+  }
+});
+
+runAsyncTest("The formatter escapes quotes in strings", async () => {
+  const cases = [
+    [`const a = 'it"s';`, `const a = "it\\"s";`],
+    [`const a = 'it\\'s';`, `const a = "it\\'s";`],
+    [`const a = "back\\\\slash";`, `const a = "back\\\\slash";`],
+    [`const a = "say \\"hi\\"";`, `const a = "say \\"hi\\"";`],
+  ];
+
+  for (const [source, expected] of cases) {
+    const formatted = formatSourceCode(source);
+    assertEqual(formatted, expected);
+    assertEqual(compile(formatted).errors, []);
+  }
+});
+
+// Expression-bodied arrow functions
+
+runAsyncTest("Arrow functions can have an expression body", async () => {
+  const { ast, errors } = compile(`const double = (x) => x * 2;
+const pick = (p, x, y) => p ? x : y;
+const twice = apply((x) => x + 1, 2);`);
+  assertEqual(errors, []);
+
+  // The body takes in everything after the =>, up to a comma or semicolon
+  assertEqual(ast[0].init.body.operator, "*");
+  assertEqual(ast[1].init.body.type, "ConditionalExpression");
+  assertEqual(ast[2].init.arguments.length, 2);
+  assertEqual(ast[2].init.arguments[0].body.operator, "+");
+});
+
+runAsyncTest("An expression body's type is the return type", async () => {
+  const { errors, environment } = typeCheckSource(`const double = (x) => x * 2;
+const fact = (n) => n <= 1 ? 1 : n * fact(n - 1);
+const first = (a, b) => a;`);
+
+  assertEqual(errors, []);
+  assertEqual(formatType(environment.double), "Number -> Number");
+  assertEqual(formatType(environment.fact), "Number -> Number");
+  assertEqual(formatType(environment.first), "(a, b) -> a");
+
+  const mismatch = typeCheckSource("const f = (x: number): string => x;");
+  assertEqual(
+    mismatch.errors.map((error) => error.code),
+    ["T001"],
+  );
+});
+
+runAsyncTest("The formatter prints expression bodies", async () => {
+  assertEqual(
+    formatSourceCode("const f=(x:number):number=>x+1;"),
+    "const f = (x: number): number => x + 1;",
+  );
+
+  // As an operand, an expression-bodied function needs parentheses, since
+  // its body would otherwise take in the rest of the expression
+  const source = "const a = ((x) => x) + 1;";
+  assertEqual(formatSourceCode(source), source);
+  assertEqual(compile(source).ast[0].init.type, "BinaryExpression");
+});
+
+runAsyncTest("Expression bodies compile to WebAssembly", async () => {
+  const { success, exports } =
+    await compileAndRunWasm(`const double = (x) => x * 2;
+const fact = (n) => n <= 1 ? 1 : n * fact(n - 1);
+const main = () => fact(5) + double(1);`);
+
+  assert(success, "The program should compile and run");
+  assertEqual(exports.main(), 122);
+});
+
 // Run the async tests and then summarize
 runAsyncTestsAndSummarize();
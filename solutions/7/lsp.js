@@ -0,0 +1,501 @@
+/**
+ * Language Server
+ *
+ * This runs the compiler inside an editor using the Language Server Protocol
+ * (LSP). The editor sends the server the text of each open document as it
+ * changes, and the server answers with:
+ * - Diagnostics: the errors from parsing, naming, and type checking
+ * - Hover: the inferred type of the identifier under the cursor
+ * - Go to definition: where the identifier under the cursor was declared
+ * - Formatting: the document run through the formatter
+ * - Document symbols: the top-level const declarations, for an outline view
+ *
+ * Messages are JSON-RPC 2.0 objects. On the wire, each one is preceded by a
+ * `Content-Length` header giving the size of its body in bytes:
+ *
+ *   Content-Length: 44\r\n
+ *   \r\n
+ *   {"jsonrpc":"2.0","id":1,"method":"shutdown"}
+ *
+ * `createServer` handles messages that have already been decoded, and
+ * `startServer` connects it to a pair of streams (stdin and stdout by
+ * default), so tests can drive the server in-process with a scripted client.
+ */
+
+const { compile } = require("./parse");
+const { nameCheck } = require("./naming");
+const { typeCheck, formatType } = require("./typecheck");
+const { formatSourceCode } = require("./formatter");
+
+// Constants defined by the LSP and JSON-RPC specifications
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const DIAGNOSTIC_SEVERITY = { error: 1, warning: 2 };
+const SYMBOL_KIND = { Function: 12, Constant: 14 };
+const MESSAGE_TYPE = { Error: 1 };
+const ERROR_CODE = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+};
+
+/**
+ * Convert a source location to an LSP position. Our lines and columns count
+ * from 1, but LSP's count from 0.
+ */
+function toPosition(location) {
+  return { line: location.line - 1, character: location.column - 1 };
+}
+
+/**
+ * Convert a span to an LSP range. Errors without a span are placed at the
+ * start of the document, since LSP requires every diagnostic to have a range.
+ */
+function toRange(span) {
+  if (!span) {
+    const start = { line: 0, character: 0 };
+    return { start, end: start };
+  }
+
+  return { start: toPosition(span.start), end: toPosition(span.end) };
+}
+
+/**
+ * Convert an LSP position to an offset into the text
+ */
+function toOffset(text, position) {
+  const lines = text.split("\n");
+  let offset = 0;
+  for (let i = 0; i < position.line && i < lines.length; i++) {
+    offset += lines[i].length + 1;
+  }
+  return offset + position.character;
+}
+
+/**
+ * Collect every Identifier node in a parse tree
+ *
+ * @param {Array|Object} root - Parse tree node(s) to search
+ * @param {Array} identifiers - The array to add identifiers to
+ * @returns {Array} - The identifiers, in source order
+ */
+function collectIdentifiers(root, identifiers = []) {
+  if (Array.isArray(root)) {
+    root.forEach((node) => collectIdentifiers(node, identifiers));
+    return identifiers;
+  }
+
+  if (!root || typeof root !== "object") {
+    return identifiers;
+  }
+
+  if (root.type === "Identifier") {
+    identifiers.push(root);
+  }
+
+  // A `declaration` (from naming) points at a node elsewhere in the program
+  for (const key of Object.keys(root)) {
+    if (key !== "span" && key !== "declaration") {
+      collectIdentifiers(root[key], identifiers);
+    }
+  }
+
+  return identifiers;
+}
+
+/**
+ * Run the compiler's front end on a document
+ *
+ * Naming and type checking run even on the tree the parser recovered from
+ * syntax errors, so that hover and go-to-definition keep working while a
+ * line is being edited. The errors, though, are those of the first phase
+ * that reports any, as with compileToWasm, since later phases' errors may
+ * only follow from the earlier ones.
+ *
+ * If the compiler itself fails, that's reported as an error at the start of
+ * the document, rather than thrown.
+ *
+ * @param {string} text - The document's source code
+ * @returns {Object} - The parse tree, the errors, and the inferred type name
+ *   of each identifier
+ */
+function analyze(text) {
+  try {
+    return analyzeOrThrow(text);
+  } catch (error) {
+    return {
+      ast: [],
+      errors: [{ message: `Internal error: ${error.message}` }],
+      types: new Map(),
+    };
+  }
+}
+
+/**
+ * Run the compiler's front end on a document (see analyze)
+ */
+function analyzeOrThrow(text) {
+  const { ast, errors: parseErrors } = compile(text);
+  const nameErrors = nameCheck(ast).errors;
+  const typeResult = typeCheck(ast);
+
+  // Name each identifier's type, for hover and document symbols
+  const types = new Map();
+  for (const [node, type] of typeResult.types) {
+    if (node.type === "Identifier") {
+      types.set(node, formatType(type));
+    }
+  }
+
+  const errors =
+    [parseErrors, nameErrors, typeResult.errors].find(
+      (phaseErrors) => phaseErrors.length > 0,
+    ) || [];
+
+  return { ast, errors, types };
+}
+
+/**
+ * Convert an error from any phase of the compiler to an LSP diagnostic
+ */
+function toDiagnostic(error, uri) {
+  const diagnostic = {
+    range: toRange(error.span),
+    severity: DIAGNOSTIC_SEVERITY[error.severity || "error"],
+    code: error.code,
+    source: "compiler-workshop",
+    message: error.message,
+  };
+
+  const labels = (error.labels || []).filter((label) => label.span);
+  if (labels.length > 0) {
+    diagnostic.relatedInformation = labels.map((label) => ({
+      location: { uri, range: toRange(label.span) },
+      message: label.message,
+    }));
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Create a language server
+ *
+ * @param {Function} send - Called with each message the server sends
+ * @param {Object} options - `onExit`, called with the exit code when the
+ *   client sends the `exit` notification
+ * @returns {Object} - The server, whose `handleMessage` method takes one
+ *   decoded message from the client
+ */
+function createServer(send, options = {}) {
+  const onExit = options.onExit || (() => {});
+
+  // The open documents, by URI: their text, and the analysis of that text
+  const documents = new Map();
+  let isShutDown = false;
+
+  /**
+   * Analyze a document's new text and publish its diagnostics
+   */
+  function updateDocument(uri, text) {
+    // Store the new text before analyzing it, so that other requests never
+    // see an analysis of one text alongside another
+    const document = { text, ast: [], errors: [], types: new Map() };
+    documents.set(uri, document);
+
+    const analysis = analyze(text);
+    Object.assign(document, analysis);
+
+    send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: {
+        uri,
+        diagnostics: analysis.errors.map((error) => toDiagnostic(error, uri)),
+      },
+    });
+  }
+
+  /**
+   * Find the identifier at a position in a document, if there is one
+   */
+  function identifierAt(document, position) {
+    const offset = toOffset(document.text, position);
+
+    return collectIdentifiers(document.ast).find(
+      (identifier) =>
+        identifier.span.start.offset <= offset &&
+        offset <= identifier.span.end.offset,
+    );
+  }
+
+  // Requests get a response with the handler's result
+  const requests = {
+    initialize: () => ({
+      capabilities: {
+        textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+        hoverProvider: true,
+        definitionProvider: true,
+        documentFormattingProvider: true,
+        documentSymbolProvider: true,
+      },
+      serverInfo: { name: "compiler-workshop" },
+    }),
+
+    shutdown: () => {
+      isShutDown = true;
+      return null;
+    },
+
+    "textDocument/hover": ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document) return null;
+
+      const identifier = identifierAt(document, position);
+      if (!identifier || !document.types.has(identifier)) return null;
+
+      const typeName = document.types.get(identifier);
+      return {
+        contents: {
+          kind: "markdown",
+          value: "```\n" + `${identifier.name} : ${typeName}` + "\n```",
+        },
+        range: toRange(identifier.span),
+      };
+    },
+
+    "textDocument/definition": ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document) return null;
+
+      const identifier = identifierAt(document, position);
+      if (!identifier || !identifier.declaration) return null;
+
+      // Built-in functions aren't declared anywhere in the document
+      if (!identifier.declaration.span) return null;
+
+      return {
+        uri: textDocument.uri,
+        range: toRange(identifier.declaration.span),
+      };
+    },
+
+    "textDocument/formatting": ({ textDocument, options: formatting = {} }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document) return null;
+
+      const formatted = formatSourceCode(document.text, {
+        indentSize: formatting.tabSize || 2,
+        useSpaces: formatting.insertSpaces !== false,
+      });
+      if (formatted === null || formatted + "\n" === document.text) return [];
+
+      // Replace the whole document
+      const lines = document.text.split("\n");
+      const end = {
+        line: lines.length - 1,
+        character: lines[lines.length - 1].length,
+      };
+      return [
+        {
+          range: { start: { line: 0, character: 0 }, end },
+          newText: formatted + "\n",
+        },
+      ];
+    },
+
+    "textDocument/documentSymbol": ({ textDocument }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document) return null;
+
+      return document.ast
+        .filter((statement) => statement.type === "ConstDeclaration")
+        .map((statement) => ({
+          name: statement.id.name,
+          detail: document.types.get(statement.id),
+          kind:
+            statement.init.type === "ArrowFunctionExpression"
+              ? SYMBOL_KIND.Function
+              : SYMBOL_KIND.Constant,
+          range: toRange(statement.span),
+          selectionRange: toRange(statement.id.span),
+        }));
+    },
+  };
+
+  // Notifications don't get a response
+  const notifications = {
+    initialized: () => {},
+
+    exit: () => onExit(isShutDown ? 0 : 1),
+
+    "textDocument/didOpen": ({ textDocument }) => {
+      updateDocument(textDocument.uri, textDocument.text);
+    },
+
+    // We only ask for full document sync, so the last change has all the text
+    "textDocument/didChange": ({ textDocument, contentChanges }) => {
+      const change = contentChanges[contentChanges.length - 1];
+      updateDocument(textDocument.uri, change.text);
+    },
+
+    "textDocument/didClose": ({ textDocument }) => {
+      documents.delete(textDocument.uri);
+      send({
+        jsonrpc: "2.0",
+        method: "textDocument/publishDiagnostics",
+        params: { uri: textDocument.uri, diagnostics: [] },
+      });
+    },
+  };
+
+  /**
+   * Handle one message from the client
+   *
+   * @param {Object} message - A JSON-RPC request or notification
+   */
+  function handleMessage(message) {
+    const params = message.params || {};
+
+    // Messages without an id are notifications
+    if (message.id === undefined) {
+      if (!Object.hasOwn(notifications, message.method)) return;
+      const handler = notifications[message.method];
+
+      try {
+        handler(params);
+      } catch (error) {
+        send({
+          jsonrpc: "2.0",
+          method: "window/logMessage",
+          params: {
+            type: MESSAGE_TYPE.Error,
+            message: `Internal error: ${error.message}`,
+          },
+        });
+      }
+      return;
+    }
+
+    // Only the handlers themselves, not methods like `toString` that every
+    // object inherits
+    if (!Object.hasOwn(requests, message.method)) {
+      send({
+        jsonrpc: "2.0",
+        id: message.id,
+        error: {
+          code: ERROR_CODE.MethodNotFound,
+          message: `Unknown method: ${message.method}`,
+        },
+      });
+      return;
+    }
+
+    const handler = requests[message.method];
+    try {
+      send({ jsonrpc: "2.0", id: message.id, result: handler(params) });
+    } catch (error) {
+      send({
+        jsonrpc: "2.0",
+        id: message.id,
+        error: { code: ERROR_CODE.InternalError, message: error.message },
+      });
+    }
+  }
+
+  return { handleMessage };
+}
+
+/**
+ * Encode a message for the wire, with its Content-Length header
+ *
+ * @param {Object} message - A JSON-RPC message
+ * @returns {string} - The header and body
+ */
+function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`;
+}
+
+/**
+ * Create a function that decodes messages from chunks of a stream
+ *
+ * A chunk may hold part of a message, or several messages, so the reader
+ * buffers bytes until a whole message body has arrived.
+ *
+ * @param {Function} onMessage - Called with the body of each message
+ * @returns {Function} - Call this with each chunk of data from the stream
+ */
+function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+
+      const header = buffer.subarray(0, headerEnd).toString("ascii");
+      const match = header.match(/Content-Length: *(\d+)/i);
+      const bodyStart = headerEnd + 4;
+
+      // Without a length we can't find the body, so skip the header
+      if (!match) {
+        buffer = buffer.subarray(bodyStart);
+        continue;
+      }
+
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) return;
+
+      const body = buffer.subarray(bodyStart, bodyEnd).toString("utf8");
+      buffer = buffer.subarray(bodyEnd);
+      onMessage(body);
+    }
+  };
+}
+
+/**
+ * Start a language server that talks over a pair of streams
+ *
+ * @param {Object} options - The `input` and `output` streams to use, and
+ *   `onExit`, called with the exit code when the client asks the server to
+ *   exit (by default, this exits the process)
+ * @returns {Object} - The server
+ */
+function startServer(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const onExit = options.onExit || ((code) => process.exit(code));
+
+  const send = (message) => output.write(encodeMessage(message));
+  const server = createServer(send, { onExit });
+
+  input.on(
+    "data",
+    createMessageReader((body) => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        send({
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: ERROR_CODE.ParseError, message: error.message },
+        });
+        return;
+      }
+
+      server.handleMessage(message);
+    }),
+  );
+
+  return server;
+}
+
+module.exports = {
+  createServer,
+  startServer,
+  encodeMessage,
+  createMessageReader,
+};
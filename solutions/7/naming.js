@@ -6,203 +6,301 @@
  * - Enforces that variables are declared before they are used
  * - Checks for duplicate variable declarations within the same scope
  * - Supports nested scopes (e.g. in function bodies)
- */
-
-let errors = [];
-let scopes = [];
-
-/**
- * Report an error found during analysis
  *
- * @param {string} message - Error message
- * @param {object} node - Parse tree node where the error occurred
+ * Each scope maps a name to the Identifier node that declares it. When a
+ * reference resolves, the referencing Identifier gets a `declaration`
+ * property pointing at that node (a declaring Identifier points at itself,
+ * and an undeclared reference at null), which tools like go-to-definition
+ * use. A name that isn't declared anywhere may be a built-in function (see
+ * builtins.js), whose declaration isn't part of the program.
+ *
+ * The scopes and errors belong to a name checker made by createNameChecker,
+ * whose top-level scope lasts from one call of `check` to the next, so a
+ * program can be checked a few statements at a time (as the REPL does).
  */
-function reportError(message, node) {
-  errors.push({
-    message,
-    node,
-  });
-}
+
+const { BUILTINS } = require("./builtins");
 
 /**
- * Visit and analyze a parse tree node and its children
+ * Create a name checker, which holds the state of name resolution for one
+ * program
  *
- * @param {object} node - Parse tree node to visit
+ * @param {object} state - The `topLevelScope` to start from, copied from
+ *   another checker by fork; by default, an empty program
+ * @returns {object} - The checker, with `check` and `fork` methods
  */
-function visitNode(node) {
-  switch (node.type) {
-    case "ConstDeclaration":
-      visitConstDeclaration(node);
-      break;
-
-    case "ArrowFunctionExpression":
-      visitArrowFunction(node);
-      break;
-
-    case "Identifier":
-      visitIdentifier(node);
-      break;
-
-    case "ReturnStatement":
-      visitReturnStatement(node);
-      break;
-
-    case "BinaryExpression":
-      visitBinaryExpression(node);
-      break;
-
-    case "ConditionalExpression":
-      visitConditionalExpression(node);
-      break;
-
-    case "CallExpression":
-      visitCallExpression(node);
-      break;
-
-    case "ArrayLiteral":
-      visitArrayLiteral(node);
-      break;
-
-    case "BlockStatement":
-      visitBlockStatement(node);
-      break;
-
-    // Literals don't need name resolution
-    case "StringLiteral":
-    case "NumericLiteral":
-    case "BooleanLiteral":
-      break;
-
-    default:
-      throw new Error(`Unknown node type: ${node.type}`);
+function createNameChecker(state = {}) {
+  let errors = [];
+  const scopes = [new Map(state.topLevelScope)];
+
+  // The top-level functions in the statements being checked, which each
+  // top-level function's body can refer to (see visitConstDeclaration)
+  let topLevelFunctions = new Map();
+
+  /**
+   * Report an error found during analysis, at the node's span in the source
+   *
+   * @param {string} code - Stable error code (see codes.js)
+   * @param {string} message - Error message
+   * @param {object} node - Parse tree node where the error occurred
+   */
+  function reportError(code, message, node) {
+    errors.push({
+      code,
+      message,
+      node,
+      span: node && node.span,
+    });
   }
-}
 
-/**
- * Visit an identifier (variable reference)
- *
- * @param {object} node - Identifier node to visit
- */
-function visitIdentifier(node) {
-  if (!scopes.some((scope) => scope.has(node.name))) {
-    reportError(`Reference to undeclared variable: ${node.name}`, node);
+  /**
+   * Visit and analyze a parse tree node and its children
+   *
+   * @param {object} node - Parse tree node to visit
+   */
+  function visitNode(node) {
+    switch (node.type) {
+      case "ConstDeclaration":
+        visitConstDeclaration(node);
+        break;
+
+      case "ArrowFunctionExpression":
+        visitArrowFunction(node);
+        break;
+
+      case "Identifier":
+        visitIdentifier(node);
+        break;
+
+      case "ReturnStatement":
+        visitReturnStatement(node);
+        break;
+
+      case "BinaryExpression":
+      case "LogicalExpression":
+        visitBinaryExpression(node);
+        break;
+
+      case "UnaryExpression":
+        visitNode(node.argument);
+        break;
+
+      case "ConditionalExpression":
+        visitConditionalExpression(node);
+        break;
+
+      case "CallExpression":
+        visitCallExpression(node);
+        break;
+
+      case "ArrayLiteral":
+        visitArrayLiteral(node);
+        break;
+
+      case "BlockStatement":
+        visitBlockStatement(node);
+        break;
+
+      // Literals don't need name resolution
+      case "StringLiteral":
+      case "NumericLiteral":
+      case "BooleanLiteral":
+        break;
+
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
   }
-}
 
-/**
- * Declare a new variable in the current scope
- *
- * This adds a variable to the current scope, but will fail if the variable
- * is already declared in this scope (a duplicate declaration error).
- *
- * @param {string} name - Variable name
- * @param {object} node - Parse tree node where the variable is declared
- * @returns {boolean} - True if declaration succeeded, false if duplicate
- */
-function declareVariable(name, node) {
-  const currentScope = scopes[scopes.length - 1];
+  /**
+   * Visit an identifier (variable reference)
+   *
+   * @param {object} node - Identifier node to visit
+   */
+  function visitIdentifier(node) {
+    // Search from the innermost scope outwards, so inner names shadow outer ones
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i].has(node.name)) {
+        node.declaration = scopes[i].get(node.name);
+        return;
+      }
+    }
+
+    // Built-in functions can be used without being declared
+    if (Object.hasOwn(BUILTINS, node.name)) {
+      node.declaration = BUILTINS[node.name].declaration;
+      return;
+    }
+
+    node.declaration = null;
+    reportError("N002", `Reference to undeclared variable: ${node.name}`, node);
+  }
 
-  if (currentScope.has(name)) {
-    reportError(`Duplicate declaration of variable: ${name}`, node);
-    return false;
+  /**
+   * Declare a new variable in the current scope
+   *
+   * This adds a variable to the current scope, but will fail if the variable
+   * is already declared in this scope (a duplicate declaration error).
+   *
+   * @param {string} name - Variable name
+   * @param {object} node - Parse tree node where the variable is declared
+   * @param {object} id - Identifier node that names the variable
+   * @returns {boolean} - True if declaration succeeded, false if duplicate
+   */
+  function declareVariable(name, node, id = node) {
+    const currentScope = scopes[scopes.length - 1];
+    id.declaration = id;
+
+    if (currentScope.has(name)) {
+      reportError("N001", `Duplicate declaration of variable: ${name}`, node);
+      return false;
+    }
+
+    currentScope.set(name, id);
+    return true;
   }
 
-  currentScope.add(name);
-  return true;
-}
+  /**
+   * Visit a binary or logical expression
+   *
+   * @param {object} node - BinaryExpression or LogicalExpression node to visit
+   */
+  function visitBinaryExpression(node) {
+    visitNode(node.left);
+    visitNode(node.right);
+  }
 
-/**
- * Visit a binary expression
- *
- * @param {object} node - BinaryExpression node to visit
- */
-function visitBinaryExpression(node) {
-  visitNode(node.left);
-  visitNode(node.right);
-}
+  /**
+   * Visit an arrow function
+   *
+   * @param {object} node - ArrowFunctionExpression node to visit
+   */
+  function visitArrowFunction(node) {
+    scopes.push(new Map());
 
-/**
- * Visit an arrow function
- *
- * @param {object} node - ArrowFunctionExpression node to visit
- */
-function visitArrowFunction(node) {
-  scopes.push(new Set());
+    for (const param of node.params) {
+      declareVariable(param.name, param);
+    }
 
-  for (const param of node.params) {
-    declareVariable(param.name, param);
+    visitNode(node.body);
+    scopes.pop();
   }
 
-  visitNode(node.body);
-  scopes.pop();
-}
+  /**
+   * Visit a function call expression
+   *
+   * @param {object} node - CallExpression node to visit
+   */
+  function visitCallExpression(node) {
+    visitNode(node.callee);
+
+    for (const arg of node.arguments) {
+      visitNode(arg);
+    }
+  }
 
-/**
- * Visit a function call expression
- *
- * @param {object} node - CallExpression node to visit
- */
-function visitCallExpression(node) {
-  visitNode(node.callee);
+  /**
+   * Visit a const declaration
+   *
+   * @param {object} node - ConstDeclaration node to visit
+   */
+  function visitConstDeclaration(node) {
+    // The body of a top-level function can refer to any top-level function,
+    // including itself and those declared after it, so that functions can
+    // be recursive. That's safe because a function's body only runs when
+    // it's called, and every function exists before any code runs.
+    const isTopLevelFunction =
+      scopes.length === 1 && node.init.type === "ArrowFunctionExpression";
+
+    if (isTopLevelFunction) scopes.push(topLevelFunctions);
+    visitNode(node.init);
+    if (isTopLevelFunction) scopes.pop();
+
+    declareVariable(node.id.name, node, node.id);
+  }
 
-  for (const arg of node.arguments) {
-    visitNode(arg);
+  /**
+   * Visit a block statement
+   *
+   * @param {object} node - BlockStatement node to visit
+   */
+  function visitBlockStatement(node) {
+    // Visit each statement in the block without creating a new scope
+    // (in this implementation, only functions create new scopes per the tests)
+    for (const statement of node.body) {
+      visitNode(statement);
+    }
   }
-}
 
-/**
- * Visit a const declaration
- *
- * @param {object} node - ConstDeclaration node to visit
- */
-function visitConstDeclaration(node) {
-  visitNode(node.init);
-  declareVariable(node.id.name, node);
-}
+  /**
+   * Visit a return statement
+   *
+   * @param {object} node - ReturnStatement node to visit
+   */
+  function visitReturnStatement(node) {
+    visitNode(node.argument);
+  }
 
-/**
- * Visit a block statement
- *
- * @param {object} node - BlockStatement node to visit
- */
-function visitBlockStatement(node) {
-  // Visit each statement in the block without creating a new scope
-  // (in this implementation, only functions create new scopes per the tests)
-  for (const statement of node.body) {
-    visitNode(statement);
+  /**
+   * Visit a conditional (ternary) expression
+   *
+   * @param {object} node - ConditionalExpression node to visit
+   */
+  function visitConditionalExpression(node) {
+    visitNode(node.test);
+    visitNode(node.consequent);
+    visitNode(node.alternate);
   }
-}
 
-/**
- * Visit a return statement
- *
- * @param {object} node - ReturnStatement node to visit
- */
-function visitReturnStatement(node) {
-  visitNode(node.argument);
-}
+  /**
+   * Visit an array literal
+   *
+   * @param {object} node - ArrayLiteral node to visit
+   */
+  function visitArrayLiteral(node) {
+    // Visit each element in the array
+    for (const element of node.elements) {
+      visitNode(element);
+    }
+  }
 
-/**
- * Visit a conditional (ternary) expression
- *
- * @param {object} node - ConditionalExpression node to visit
- */
-function visitConditionalExpression(node) {
-  visitNode(node.test);
-  visitNode(node.consequent);
-  visitNode(node.alternate);
-}
+  /**
+   * Check more statements, in the scope of those checked before
+   *
+   * @param {Array} statements - The statements to check
+   * @returns {object} - Any errors
+   */
+  function check(statements) {
+    errors = [];
+
+    topLevelFunctions = new Map();
+    for (const statement of statements) {
+      const isFunction =
+        statement.type === "ConstDeclaration" &&
+        statement.init.type === "ArrowFunctionExpression";
+      if (isFunction && !topLevelFunctions.has(statement.id.name)) {
+        topLevelFunctions.set(statement.id.name, statement.id);
+      }
+    }
+
+    for (const statement of statements) {
+      visitNode(statement);
+    }
+
+    return { errors };
+  }
 
-/**
- * Visit an array literal
- *
- * @param {object} node - ArrayLiteral node to visit
- */
-function visitArrayLiteral(node) {
-  // Visit each element in the array
-  for (const element of node.elements) {
-    visitNode(element);
+  /**
+   * Copy this checker, so that statements can be checked without affecting
+   * it (for example, to throw them away if they have errors)
+   *
+   * @returns {object} - A new name checker with the same names in scope
+   */
+  function fork() {
+    return createNameChecker({ topLevelScope: scopes[0] });
   }
+
+  return { check, fork };
 }
 
 /**
@@ -212,19 +310,10 @@ function visitArrayLiteral(node) {
  * @returns {object} - The analyzed parse tree with scope information and any errors
  */
 function nameCheck(statements) {
-  // Reset globals
-  errors = [];
-  scopes = [new Set()];
-
-  for (const statement of statements) {
-    visitNode(statement);
-  }
-
-  scopes.pop();
-
-  return { errors };
+  return createNameChecker().check(statements);
 }
 
 module.exports = {
   nameCheck,
+  createNameChecker,
 };
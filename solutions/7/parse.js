@@ -6,14 +6,185 @@
  *  of the code.
  */
 
+// Token types that can begin each kind of syntax, used to tell the user
+// what we expected to see when we find something else instead
+const STATEMENT_START = ["CONST", "RETURN"];
+const EXPRESSION_START = [
+  "MINUS",
+  "NOT",
+  "LEFT_PAREN",
+  "STRING",
+  "NUMBER",
+  "BOOLEAN",
+  "IDENTIFIER",
+  "LEFT_BRACKET",
+];
+const TYPE_ANNOTATION_START = [
+  "TYPE_NUMBER",
+  "TYPE_FLOAT",
+  "TYPE_INT",
+  "TYPE_STRING",
+  "TYPE_BOOLEAN",
+  "TYPE_BOOL",
+  "TYPE_VOID",
+  "TYPE_UNIT",
+  "TYPE_ARRAY",
+  "IDENTIFIER",
+  "LEFT_PAREN",
+];
+
+// Operators that go between two operands, keyed by token type. Each has a
+// `precedence`: operators with higher precedence bind more tightly, so
+// a + b * c is a + (b * c). Each also has an `associativity`, which says how a
+// run of operators with the same precedence groups: "left" makes a - b - c
+// mean (a - b) - c, and "right" makes a ? b : c ? d : e mean a ? b : (c ? d : e).
+// The `nodeType` is the type of parse tree node the operator builds; && and ||
+// get their own, since they only evaluate their right operand when it's
+// needed.
+//
+// Adding an operator takes an entry here, plus a token for it in the
+// tokenizer. The formatter uses the same table to decide where parentheses
+// are needed (see getOperator).
+//
+// The < and > tokens also close generic types like Array<number>, but those
+// only appear in type annotations, which are parsed separately (see
+// parseTypeAnnotation), so in expressions they always compare.
+const INFIX_OPERATORS = {
+  TERNARY: {
+    operator: "?",
+    precedence: 1,
+    associativity: "right",
+    nodeType: "ConditionalExpression",
+  },
+  OR: {
+    operator: "||",
+    precedence: 2,
+    associativity: "left",
+    nodeType: "LogicalExpression",
+  },
+  AND: {
+    operator: "&&",
+    precedence: 3,
+    associativity: "left",
+    nodeType: "LogicalExpression",
+  },
+  EQUAL_EQUAL: {
+    operator: "==",
+    precedence: 4,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  NOT_EQUAL: {
+    operator: "!=",
+    precedence: 4,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  LESS_THAN: {
+    operator: "<",
+    precedence: 5,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  LESS_EQUAL: {
+    operator: "<=",
+    precedence: 5,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  GREATER_THAN: {
+    operator: ">",
+    precedence: 5,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  GREATER_EQUAL: {
+    operator: ">=",
+    precedence: 5,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  PLUS: {
+    operator: "+",
+    precedence: 6,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  MINUS: {
+    operator: "-",
+    precedence: 6,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  MULTIPLY: {
+    operator: "*",
+    precedence: 7,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  DIVIDE: {
+    operator: "/",
+    precedence: 7,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+  MODULO: {
+    operator: "%",
+    precedence: 7,
+    associativity: "left",
+    nodeType: "BinaryExpression",
+  },
+};
+
+// Operators that go before their operand, keyed by token type. They bind more
+// tightly than any infix operator, so -a * b is (-a) * b.
+const PREFIX_OPERATORS = {
+  MINUS: {
+    operator: "-",
+    precedence: 8,
+    associativity: "right",
+    nodeType: "UnaryExpression",
+  },
+  NOT: {
+    operator: "!",
+    precedence: 8,
+    associativity: "right",
+    nodeType: "UnaryExpression",
+  },
+};
+
+// An arrow function with an expression body isn't an operator, but it acts
+// like a prefix operator with the lowest precedence of all: its body takes
+// in everything after the =>, so the formatter has to wrap it in parentheses
+// to use it as an operand (see getOperator).
+const ARROW_FUNCTION = {
+  operator: "=>",
+  precedence: 0,
+  associativity: "right",
+  nodeType: "ArrowFunctionExpression",
+};
+
 /**
  * Parse tokens into a Parse Tree
  *
+ * Syntax errors don't stop parsing. Each one is recorded as a diagnostic
+ * with a message, the span of the offending token, and the set of token
+ * types that would have been valid there. The parser then skips ahead to a
+ * point where it can resume: the end of a statement (`;`), the end of a
+ * block (`}`), or the start of another statement (`const` or `return`).
+ *
  * @param {Array} tokens - A list of tokens from the tokenizer
- * @returns {Object} - The root node of the Parse Tree
+ * @param {Object} options - If `expression` is true, parse a single
+ *   expression (such as a REPL entry) rather than a list of statements
+ * @returns {Object} - The parsed statements (`ast`) and any syntax `errors`
  */
-function parse(tokens) {
+function parse(tokens, options = {}) {
   let current = 0; // Current token index
+  const errors = []; // Syntax errors found so far
+
+  // ERROR tokens have already been reported by the tokenizer, so skip them
+  // and parse whatever valid tokens remain around them.
+  tokens = tokens.filter((token) => token.type !== "ERROR");
 
   /**
    * Look at the current token without consuming it
@@ -29,6 +200,21 @@ function parse(tokens) {
     return tokens[current++];
   }
 
+  /**
+   * Get the token that was most recently consumed
+   */
+  function previous() {
+    return tokens[current - 1];
+  }
+
+  /**
+   * Build a span from the start of the given token or node through the end
+   * of the most recently consumed token
+   */
+  function spanFrom(start) {
+    return { start: start.span.start, end: previous().span.end };
+  }
+
   /**
    * Check if the current token is of a specific type
    */
@@ -36,6 +222,22 @@ function parse(tokens) {
     return peek().type === type;
   }
 
+  /**
+   * Create a syntax error about the current token, which can be thrown
+   * and later recorded by recoverFromError
+   *
+   * @param {string} code - Stable error code (see codes.js)
+   * @param {string} message - Error message
+   * @param {Array} expected - Token types that would have been valid here
+   */
+  function syntaxError(code, message, expected) {
+    const error = new Error(message);
+    error.code = code;
+    error.token = peek();
+    error.expected = expected;
+    return error;
+  }
+
   /**
    * Expect the current token to be of a specific type
    * If it is, consume it and return it; otherwise, throw an error
@@ -45,12 +247,92 @@ function parse(tokens) {
       return next();
     }
     // If we don't find what we expect, report a syntax error
-    throw new Error(
-      message ||
-        `Expected ${type} but got ${peek().type} at position ${peek().position}`,
+    throw syntaxError(
+      "P001",
+      message || `Expected ${type} but got ${peek().type}`,
+      [type],
     );
   }
 
+  /**
+   * Expect the > that closes a generic type like Array<number>
+   *
+   * The tokenizer reads `>=` as a single comparison operator, so a type
+   * annotation followed directly by `=` (as in `const a: Array<number>= []`)
+   * arrives as one GREATER_EQUAL token. In that case, split it back into a
+   * > and an = and consume only the >.
+   */
+  function expectGenericEnd() {
+    if (check("GREATER_EQUAL")) {
+      const token = peek();
+      const { start, end } = token.span;
+      const middle = {
+        offset: start.offset + 1,
+        line: start.line,
+        column: start.column + 1,
+      };
+
+      tokens.splice(
+        current,
+        1,
+        {
+          type: "GREATER_THAN",
+          value: ">",
+          position: token.position,
+          span: { start, end: middle },
+        },
+        {
+          type: "EQUAL",
+          value: "=",
+          position: token.position + 1,
+          span: { start: middle, end },
+        },
+      );
+    }
+
+    return expect("GREATER_THAN", "Expected > to close Array type");
+  }
+
+  /**
+   * Record a syntax error, then skip tokens until we reach a point where
+   * parsing can sensibly resume
+   *
+   * @param {Error} error - The error thrown while parsing
+   * @param {number} statementStart - Token index where the failed statement began
+   */
+  function recoverFromError(error, statementStart) {
+    // Anything other than a syntax error is a bug in the parser itself
+    if (!error.token) {
+      throw error;
+    }
+
+    errors.push({
+      code: error.code,
+      message: error.message,
+      span: error.token.span,
+      expected: error.expected,
+    });
+
+    // Always make progress, so a token that can't start a statement
+    // doesn't make us report the same error forever
+    if (current === statementStart && !check("EOF")) {
+      next();
+    }
+
+    while (!check("EOF")) {
+      if (check("SEMICOLON")) {
+        next();
+        return;
+      }
+
+      if (check("RIGHT_CURLY") || check("CONST") || check("RETURN")) {
+        return;
+      }
+
+      next();
+    }
+  }
+
   /**
    * Parse an entire program, returning an array of its top-level statements.
    */
@@ -58,6 +340,8 @@ function parse(tokens) {
     const statements = [];
 
     while (current < tokens.length) {
+      const statementStart = current;
+
       try {
         const statement = parseStatement();
         // Only add non-null statements (null is returned for EOF tokens)
@@ -68,12 +352,8 @@ function parse(tokens) {
           break;
         }
       } catch (error) {
-        // Skip to the next statement on error
-        console.error("Parse error:", error);
-        while (current < tokens.length && !check("SEMICOLON")) {
-          next();
-        }
-        if (check("SEMICOLON")) next();
+        // Record the error and skip to the next statement
+        recoverFromError(error, statementStart);
       }
     }
 
@@ -81,6 +361,29 @@ function parse(tokens) {
     return statements;
   }
 
+  /**
+   * Parse a single expression that makes up the whole input, optionally
+   * followed by a semicolon. Returns null if the expression is invalid.
+   */
+  function parseSingleExpression() {
+    try {
+      const expression = parseExpression();
+
+      if (check("SEMICOLON")) {
+        next();
+      }
+      expect(
+        "EOF",
+        `Unexpected ${peek().type} after the end of the expression`,
+      );
+
+      return expression;
+    } catch (error) {
+      recoverFromError(error, current);
+      return null;
+    }
+  }
+
   /**
    * Parse a statement
    * In our simple language, statements are either:
@@ -101,7 +404,11 @@ function parse(tokens) {
     } else if (check("RETURN")) {
       statement = parseReturnStatement();
     } else {
-      throw new Error(`Unexpected token type: ${peek().type}`);
+      throw syntaxError(
+        "P001",
+        `Unexpected token type: ${peek().type}`,
+        STATEMENT_START,
+      );
     }
 
     // Eat the semicolon if present
@@ -117,7 +424,7 @@ function parse(tokens) {
    */
   function parseReturnStatement() {
     // Consume the 'return' keyword
-    expect("RETURN", "Expected 'return' keyword");
+    const startToken = expect("RETURN", "Expected 'return' keyword");
 
     let argument = null;
 
@@ -133,6 +440,7 @@ function parse(tokens) {
     const returnStatement = {
       type: "ReturnStatement",
       argument,
+      span: spanFrom(startToken),
     };
 
     return returnStatement;
@@ -143,12 +451,14 @@ function parse(tokens) {
    */
   function parseConstDeclaration() {
     // Consume the 'const' keyword
-    expect("CONST", "Expected 'const' keyword");
+    const startToken = expect("CONST", "Expected 'const' keyword");
 
     // Get the variable name
+    const nameToken = expect("IDENTIFIER", "Expected variable name");
     const id = {
       type: "Identifier",
-      name: expect("IDENTIFIER", "Expected variable name").value,
+      name: nameToken.value,
+      span: nameToken.span,
     };
 
     // Parse type annotation if present (with colon)
@@ -170,6 +480,7 @@ function parse(tokens) {
       id,
       init,
       typeAnnotation,
+      span: spanFrom(startToken),
     };
 
     return constDeclaration;
@@ -177,67 +488,91 @@ function parse(tokens) {
 
   /**
    * Parse an expression (anything that produces a value)
+   *
+   * This is a Pratt parser: it parses one operand, and then, for as long as
+   * the next token is an infix operator that binds at least as tightly as
+   * `minPrecedence`, applies that operator with the following operand.
+   * Parsing that right operand with a higher minimum precedence stops it at
+   * any operator that binds more loosely, which then applies to the whole
+   * expression so far instead.
+   *
+   * @param {number} minPrecedence - Only apply operators with at least this
+   *   precedence (see INFIX_OPERATORS); by default, all of them
    */
-  function parseExpression() {
-    const expr = parseBinaryExpression();
+  function parseExpression(minPrecedence = 0) {
+    let left = parsePrefix();
 
-    // If we see a question mark, this is a ternary expression
-    if (check("TERNARY")) {
-      // Consume the question mark
-      next();
-
-      // Parse the expression to use if condition is true
-      const consequent = parseExpression();
-
-      // Consume the colon
-      expect("COLON", "Expected ':' in ternary expression");
-
-      // Parse the expression to use if condition is false
-      const alternate = parseExpression();
-
-      // Create the ternary expression node
-      const ternary = {
-        type: "ConditionalExpression",
-        test: expr,
-        consequent,
-        alternate,
-      };
-
-      return ternary;
+    while (
+      INFIX_OPERATORS[peek().type] &&
+      INFIX_OPERATORS[peek().type].precedence >= minPrecedence
+    ) {
+      const operatorToken = next();
+      const { precedence, associativity, nodeType } =
+        INFIX_OPERATORS[operatorToken.type];
+
+      // A left-associative operator stops its right operand at another
+      // operator with the same precedence, so that one applies to the result
+      const rightPrecedence =
+        associativity === "left" ? precedence + 1 : precedence;
+
+      if (nodeType === "ConditionalExpression") {
+        // Anything can go between the ? and the :, since the : ends it
+        const consequent = parseExpression();
+        expect("COLON", "Expected ':' in ternary expression");
+        const alternate = parseExpression(rightPrecedence);
+
+        left = {
+          type: "ConditionalExpression",
+          test: left,
+          consequent,
+          alternate,
+          span: spanFrom(left),
+        };
+      } else {
+        const right = parseExpression(rightPrecedence);
+
+        left = {
+          type: nodeType,
+          left,
+          operator: operatorToken.value,
+          right,
+          span: spanFrom(left),
+        };
+      }
     }
 
-    // If no question mark, just return the expression
-    return expr;
+    return left;
   }
 
   /**
-   * Parse binary expressions like a + b + c or a * b * c
+   * Parse an operand, which may start with prefix operators like -x or !x
    */
-  function parseBinaryExpression() {
-    // Parse the left-hand side of the expression
-    let left = parsePrimary();
-
-    // Process binary operators (+ and *)
-    while (check("PLUS") || check("MULTIPLY")) {
-      const operator = next().value;
-      const right = parsePrimary();
-
-      left = {
-        type: "BinaryExpression",
-        left,
-        operator,
-        right,
+  function parsePrefix() {
+    if (PREFIX_OPERATORS[peek().type]) {
+      const startToken = next();
+      const argument = parseExpression(
+        PREFIX_OPERATORS[startToken.type].precedence,
+      );
+
+      return {
+        type: "UnaryExpression",
+        operator: startToken.value,
+        argument,
+        span: spanFrom(startToken),
       };
     }
 
-    return left;
+    return parsePrimary();
   }
 
   /**
    * Parse a function expression
    */
   function parseFunction() {
-    expect("LEFT_PAREN", "Expected '(' at start of arrow function");
+    const startToken = expect(
+      "LEFT_PAREN",
+      "Expected '(' at start of arrow function",
+    );
 
     const params = [];
 
@@ -250,6 +585,7 @@ function parse(tokens) {
         let param = {
           type: "Identifier",
           name: paramToken.value,
+          span: paramToken.span,
         };
 
         // Check for type annotation (with colon)
@@ -276,29 +612,25 @@ function parse(tokens) {
 
     expect("ARROW", "Expected '=>' after parameters");
 
-    // Parse the function body - only block bodies are supported
+    // Parse the function body: either a block in curly braces, or a single
+    // expression whose value the function returns, as in (x) => x * 2
     let body;
 
-    // Require a block body with curly braces
+    // A { always starts a block body, as in JavaScript. An object literal
+    // body would need wrapping in parentheses: () => ({ ... })
     if (check("LEFT_CURLY")) {
       // Block body with curly braces - parse as block statement
-      next(); // Consume the {
+      const blockStart = next(); // Consume the {
 
       const blockStatements = [];
-      while (current < tokens.length && !check("RIGHT_CURLY")) {
+      while (!check("RIGHT_CURLY") && !check("EOF")) {
+        const statementStart = current;
+
         try {
           blockStatements.push(parseStatement());
         } catch (error) {
-          // Skip to the next statement on error
-          console.error("Parse error in function body:", error);
-          while (
-            current < tokens.length &&
-            !check("SEMICOLON") &&
-            !check("RIGHT_CURLY")
-          ) {
-            next();
-          }
-          if (check("SEMICOLON")) next();
+          // Record the error and skip to the next statement in the body
+          recoverFromError(error, statementStart);
         }
       }
 
@@ -307,12 +639,12 @@ function parse(tokens) {
       body = {
         type: "BlockStatement",
         body: blockStatements,
+        span: spanFrom(blockStart),
       };
     } else {
-      // Expression bodies are not allowed, only block bodies with curly braces
-      throw new Error(
-        `Arrow functions only support block bodies with curly braces in this language`,
-      );
+      // An expression body takes in as much as it can, so (x) => x + 1 returns
+      // x + 1 (see ARROW_FUNCTION)
+      body = parseExpression();
     }
 
     return {
@@ -320,6 +652,7 @@ function parse(tokens) {
       params,
       body,
       returnType,
+      span: spanFrom(startToken),
     };
   }
 
@@ -330,7 +663,7 @@ function parse(tokens) {
     const elements = [];
     const position = peek().position;
 
-    next(); // consume LEFT_BRACKET
+    const startToken = next(); // consume LEFT_BRACKET
 
     // Empty array case: []
     if (check("RIGHT_BRACKET")) {
@@ -339,6 +672,7 @@ function parse(tokens) {
         type: "ArrayLiteral",
         elements,
         position,
+        span: spanFrom(startToken),
       };
     }
 
@@ -361,13 +695,24 @@ function parse(tokens) {
       type: "ArrayLiteral",
       elements,
       position,
+      span: spanFrom(startToken),
     };
   }
 
   /**
-   * Parse a type annotation
+   * Parse a type annotation, recording the span it covers
    */
   function parseTypeAnnotation() {
+    const startToken = peek();
+    const annotation = parseTypeAnnotationNode();
+    annotation.span = spanFrom(startToken);
+    return annotation;
+  }
+
+  /**
+   * Parse the node for a type annotation
+   */
+  function parseTypeAnnotationNode() {
     // The colon should have already been consumed by the caller
 
     // Parse the type
@@ -407,8 +752,10 @@ function parse(tokens) {
 
     // Explicitly reject 'any' type
     if (check("IDENTIFIER") && peek().value === "any") {
-      throw new Error(
-        `The 'any' type is not supported in this compiler (at position ${peek().position})`,
+      throw syntaxError(
+        "P003",
+        `The 'any' type is not supported in this compiler`,
+        TYPE_ANNOTATION_START.filter((type) => type !== "IDENTIFIER"),
       );
     }
 
@@ -431,55 +778,73 @@ function parse(tokens) {
 
         // Parse the element type between the < >
         if (check("TYPE_NUMBER")) {
-          next(); // consume TYPE_NUMBER
-          expect("GREATER_THAN", "Expected > to close Array type");
+          const elementToken = next(); // consume TYPE_NUMBER
+          expectGenericEnd();
 
           return {
             type: "ArrayTypeAnnotation",
-            elementType: { type: "TypeAnnotation", valueType: "number" },
+            elementType: {
+              type: "TypeAnnotation",
+              valueType: "number",
+              span: elementToken.span,
+            },
           };
         }
 
         if (check("TYPE_STRING")) {
-          next(); // consume TYPE_STRING
-          expect("GREATER_THAN", "Expected > to close Array type");
+          const elementToken = next(); // consume TYPE_STRING
+          expectGenericEnd();
 
           return {
             type: "ArrayTypeAnnotation",
-            elementType: { type: "TypeAnnotation", valueType: "string" },
+            elementType: {
+              type: "TypeAnnotation",
+              valueType: "string",
+              span: elementToken.span,
+            },
           };
         }
 
         if (check("TYPE_BOOLEAN")) {
-          next(); // consume TYPE_BOOLEAN
-          expect("GREATER_THAN", "Expected > to close Array type");
+          const elementToken = next(); // consume TYPE_BOOLEAN
+          expectGenericEnd();
 
           return {
             type: "ArrayTypeAnnotation",
-            elementType: { type: "TypeAnnotation", valueType: "boolean" },
+            elementType: {
+              type: "TypeAnnotation",
+              valueType: "boolean",
+              span: elementToken.span,
+            },
           };
         }
 
         if (check("IDENTIFIER")) {
           // Check for 'any' type before consuming it
           if (peek().value === "any") {
-            throw new Error(
-              `'any' type is not supported at position ${peek().position}`,
+            throw syntaxError(
+              "P003",
+              `'any' type is not supported`,
+              TYPE_ANNOTATION_START.filter((type) => type !== "IDENTIFIER"),
             );
           }
 
-          const baseType = next().value;
-          expect("GREATER_THAN", "Expected > to close Array type");
+          const elementToken = next();
+          expectGenericEnd();
 
           return {
             type: "ArrayTypeAnnotation",
-            elementType: { type: "TypeAnnotation", valueType: baseType },
+            elementType: {
+              type: "TypeAnnotation",
+              valueType: elementToken.value,
+              span: elementToken.span,
+            },
           };
         }
 
         // More complex element type
         const elementType = parseTypeAnnotation();
-        expect("GREATER_THAN", "Expected > to close Array type");
+        expectGenericEnd();
 
         return {
           type: "ArrayTypeAnnotation",
@@ -496,9 +861,11 @@ function parse(tokens) {
 
     // T[] syntax
     if (check("IDENTIFIER")) {
+      const baseToken = next();
       const baseType = {
         type: "TypeAnnotation",
-        valueType: next().value,
+        valueType: baseToken.value,
+        span: baseToken.span,
       };
 
       // Check for array bracket notation
@@ -527,7 +894,11 @@ function parse(tokens) {
       };
     }
 
-    throw new Error(`Expected type annotation at position ${peek().position}`);
+    throw syntaxError(
+      "P004",
+      `Expected type annotation`,
+      TYPE_ANNOTATION_START,
+    );
   }
 
   /**
@@ -545,13 +916,14 @@ function parse(tokens) {
 
     // Parse parameters with types
     do {
-      const paramName = expect("IDENTIFIER", "Expected parameter name").value;
+      const paramToken = expect("IDENTIFIER", "Expected parameter name");
       expect("COLON", "Expected : after parameter name in type annotation");
       const paramType = parseTypeAnnotation();
 
       params.push({
-        name: paramName,
+        name: paramToken.value,
         typeAnnotation: paramType,
+        span: spanFrom(paramToken),
       });
 
       if (check("COMMA")) {
@@ -569,120 +941,91 @@ function parse(tokens) {
   }
 
   /**
-   * Parse primary expressions - the most basic building blocks
+   * Look ahead from a '(' to see whether it starts an arrow function rather
+   * than a parenthesized expression, without moving past it
+   *
+   * It starts an arrow function if the parameters and optional return type
+   * are followed by '=>'. Types may span several tokens (as in
+   * Array<number>), so they're skipped by parsing them, which throws if they
+   * aren't valid types.
+   *
+   * @returns {boolean} - Whether to parse an arrow function
    */
-  function parsePrimary() {
-    let node;
+  function isArrowFunctionAhead() {
+    const savedPosition = current;
+    let hasTypeAnnotation = false;
 
-    // Check what kind of primary expression this is
-    if (check("LEFT_PAREN")) {
-      // This could be a parenthesized expression or an arrow function
+    const skipTypeAnnotation = () => {
+      next(); // Skip the colon
+      parseTypeAnnotation();
+    };
 
-      // Look ahead to see if this is an arrow function
-      // We check by looking for ')' followed by '=>' and then '{'
-      let isArrowFunction = false;
+    // Skip a parameter's name and optional type annotation
+    const skipParameter = () => {
+      next();
+      if (check("COLON")) {
+        hasTypeAnnotation = true;
+        skipTypeAnnotation();
+      }
+    };
 
-      // Save the current position so we can rewind
-      const savedPosition = current;
+    try {
+      next(); // Skip the '('
 
-      try {
-        // Skip the '('
-        next();
+      const hasParams = !check("RIGHT_PAREN");
+      if (hasParams) {
+        if (!check("IDENTIFIER")) return false;
+        skipParameter();
 
-        // Check for empty parameter list
-        if (check("RIGHT_PAREN")) {
-          next(); // Skip the ')'
-          if (check("ARROW")) {
-            isArrowFunction = true;
-          }
-        } else {
-          // Skip an identifier (potential parameter)
-          if (check("IDENTIFIER")) {
-            next();
-
-            // Check for type annotation
-            if (check("COLON")) {
-              next(); // Skip the colon
-              // Skip the type
-              if (
-                check("TYPE_NUMBER") ||
-                check("TYPE_STRING") ||
-                check("TYPE_BOOLEAN") ||
-                check("TYPE_VOID") ||
-                check("TYPE_ARRAY") ||
-                check("IDENTIFIER")
-              ) {
-                next();
-              }
-            }
-
-            // Skip comma and more parameters if present
-            while (check("COMMA")) {
-              next(); // Skip the comma
-
-              // Skip another parameter
-              if (check("IDENTIFIER")) {
-                next();
-
-                // Skip type annotation if present
-                if (check("COLON")) {
-                  next(); // Skip the colon
-                  // Skip the type
-                  if (
-                    check("TYPE_NUMBER") ||
-                    check("TYPE_STRING") ||
-                    check("TYPE_BOOLEAN") ||
-                    check("TYPE_VOID") ||
-                    check("TYPE_ARRAY") ||
-                    check("IDENTIFIER")
-                  ) {
-                    next();
-                  }
-                }
-              }
-            }
-
-            // Now check for ')' followed by '=>'
-            if (check("RIGHT_PAREN")) {
-              next(); // Skip the ')'
-
-              // Check for optional return type
-              if (check("COLON")) {
-                next(); // Skip the colon
-                // Skip the type
-                if (
-                  check("TYPE_NUMBER") ||
-                  check("TYPE_STRING") ||
-                  check("TYPE_BOOLEAN") ||
-                  check("TYPE_VOID") ||
-                  check("TYPE_ARRAY") ||
-                  check("IDENTIFIER")
-                ) {
-                  next();
-                }
-              }
-
-              if (check("ARROW")) {
-                isArrowFunction = true;
-              }
-            }
-          }
+        while (check("COMMA")) {
+          next(); // Skip the comma
+          if (check("IDENTIFIER")) skipParameter();
         }
-      } catch (e) {
-        // If we hit an error, it's not an arrow function
       }
 
-      // Reset to where we started
+      if (!check("RIGHT_PAREN")) return false;
+      next(); // Skip the ')'
+
+      // Skip the return type. After (), only a function has one, but the
+      // colon after (x) may belong to a conditional
+      if (check("COLON")) {
+        hasTypeAnnotation = hasTypeAnnotation || !hasParams;
+        skipTypeAnnotation();
+      }
+
+      return check("ARROW");
+    } catch (e) {
+      // If we hit an error, it's not an arrow function, unless we'd already
+      // seen a type annotation that only a function can have: nothing else has
+      // a colon there, so parsing it as a function will report what's wrong
+      // with the type
+      return hasTypeAnnotation;
+    } finally {
+      // Rewind to the '('
       current = savedPosition;
+    }
+  }
 
-      if (isArrowFunction) {
+  /**
+   * Parse primary expressions - the most basic building blocks
+   */
+  function parsePrimary() {
+    let node;
+
+    // Check what kind of primary expression this is
+    if (check("LEFT_PAREN")) {
+      // This could be a parenthesized expression or an arrow function
+      if (isArrowFunctionAhead()) {
         // Parse as a function
         node = parseFunction();
       } else {
         // Parse as a parenthesized expression
-        next(); // Skip the '('
+        const startToken = next(); // Skip the '('
         node = parseExpression();
         expect("RIGHT_PAREN", "Expected ')' after expression");
+
+        // Widen the span to include the parentheses
+        node.span = spanFrom(startToken);
       }
     } else if (check("STRING")) {
       // String literal
@@ -690,6 +1033,7 @@ function parse(tokens) {
       node = {
         type: "StringLiteral",
         value: token.value.slice(1, -1), // Remove the quotes
+        span: token.span,
       };
     } else if (check("NUMBER")) {
       // Number literal
@@ -699,6 +1043,7 @@ function parse(tokens) {
       node = {
         type: "NumericLiteral",
         value,
+        span: token.span,
       };
     } else if (check("BOOLEAN")) {
       // Boolean literal
@@ -706,6 +1051,7 @@ function parse(tokens) {
       node = {
         type: "BooleanLiteral",
         value: token.value === "true",
+        span: token.span,
       };
     } else if (check("IDENTIFIER")) {
       // Variable reference or function call
@@ -713,6 +1059,7 @@ function parse(tokens) {
       node = {
         type: "Identifier",
         name: token.value,
+        span: token.span,
       };
 
       // If the next token is a '(', this is a function call
@@ -723,8 +1070,10 @@ function parse(tokens) {
       // Array literal
       node = parseArrayLiteral();
     } else {
-      throw new Error(
-        `Unexpected token type in expression: ${peek().type} at position ${peek().position}`,
+      throw syntaxError(
+        "P001",
+        `Unexpected token type in expression: ${peek().type}`,
+        EXPRESSION_START,
       );
     }
 
@@ -754,31 +1103,94 @@ function parse(tokens) {
       type: "CallExpression",
       callee,
       arguments: args,
+      span: spanFrom(callee),
     };
   }
 
   // Reset token index
   current = 0;
 
-  return parseProgram();
+  const ast = options.expression ? parseSingleExpression() : parseProgram();
+
+  return { ast, errors };
 }
 
 /**
  * Tokenize and then parse.
  *
+ * Both phases recover from errors, so the returned errors include every
+ * lexical and syntax error in the source, in that order.
+ *
  * @param {string} sourceCode - The source code to compile
- * @returns {Array} - Statement parse tree nodes
+ * @param {Object} options - Parsing options (see parse)
+ * @returns {Object} - Statement parse tree nodes (`ast`) and any `errors`
  */
-function compile(sourceCode) {
-  const { tokenize } = require("./tokenize");
+function compile(sourceCode, options = {}) {
+  const { tokenizeWithRecovery } = require("./tokenize");
 
-  const tokens = tokenize(sourceCode);
-  const statements = parse(tokens);
+  const { tokens, errors: lexicalErrors } = tokenizeWithRecovery(sourceCode);
+  const { ast, errors: syntaxErrors } = parse(tokens, options);
 
-  return statements;
+  return { ast, errors: lexicalErrors.concat(syntaxErrors) };
+}
+
+/**
+ * Find the operator a parse tree node applies, so that tools like the
+ * formatter can tell how tightly it binds
+ *
+ * @param {Object} node - A parse tree node
+ * @returns {Object|null} - The operator's entry in INFIX_OPERATORS or
+ *   PREFIX_OPERATORS, or null if the node isn't an operator application
+ */
+function getOperator(node) {
+  switch (node.type) {
+    case "ConditionalExpression":
+      return INFIX_OPERATORS.TERNARY;
+
+    case "BinaryExpression":
+    case "LogicalExpression":
+      return (
+        Object.values(INFIX_OPERATORS).find(
+          (entry) =>
+            entry.nodeType === node.type && entry.operator === node.operator,
+        ) || null
+      );
+
+    case "UnaryExpression":
+      return (
+        Object.values(PREFIX_OPERATORS).find(
+          (entry) => entry.operator === node.operator,
+        ) || null
+      );
+
+    case "ArrowFunctionExpression":
+      return node.body.type === "BlockStatement" ? null : ARROW_FUNCTION;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a parse tree to JSON for display, leaving out source locations so
+ * the tree's structure is easy to read
+ *
+ * @param {Array|Object} ast - Parse tree node(s)
+ * @returns {string} - Indented JSON
+ */
+function astToJson(ast) {
+  return JSON.stringify(
+    ast,
+    (key, value) => (key === "span" || key === "position" ? undefined : value),
+    2,
+  );
 }
 
 module.exports = {
   parse,
   compile,
+  astToJson,
+  getOperator,
+  INFIX_OPERATORS,
+  PREFIX_OPERATORS,
 };
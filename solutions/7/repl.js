@@ -0,0 +1,487 @@
+/**
+ * REPL (Read-Eval-Print Loop)
+ *
+ * This lets us try out the language one entry at a time. Each entry is
+ * either some `const` declarations, which are added to the session, or an
+ * expression, which is type-checked and then evaluated by compiling it to
+ * WebAssembly and running it. Declared values are evaluated the same way,
+ * once, when they're entered.
+ *
+ *   > const x = 40;
+ *   x : Number
+ *   > x + 2.5
+ *   42.5 : Number
+ *
+ * The session remembers every declaration entered so far, along with name
+ * and type checkers that have already checked them, so each new entry is
+ * checked on its own but can refer to earlier names. An entry is checked
+ * with copies of those checkers, which are kept only if it has no errors;
+ * an entry with errors is reported and then forgotten.
+ *
+ * Commands start with a colon; see HELP below.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { compile, astToJson } = require("./parse");
+const { createNameChecker } = require("./naming");
+const { createTypeChecker, formatType } = require("./typecheck");
+const { generateWasm } = require("./wasm");
+const { renderDiagnostics } = require("./diagnostics");
+
+// The name under which an expression entry is checked and compiled. It isn't
+// a valid identifier, so it can never clash with a name the user declared.
+const ENTRY_NAME = "<input>";
+
+const HELP = `Enter const declarations or expressions. Commands:
+  :type <expr>    Show the type of an expression without evaluating it
+  :ast <expr>     Show the parse tree of an expression
+  :load <file>    Add the declarations in a file to the session
+  :reset          Forget every declaration entered so far
+  :help           Show this message
+  :quit           Leave the REPL`;
+
+/**
+ * Collect every parse tree node reachable from the given node(s)
+ *
+ * @param {Array|Object} root - Parse tree node(s) to start from
+ * @param {Set} nodes - The set to add nodes to
+ * @returns {Set} - The set of nodes
+ */
+function collectNodes(root, nodes = new Set()) {
+  if (Array.isArray(root)) {
+    root.forEach((node) => collectNodes(node, nodes));
+    return nodes;
+  }
+
+  if (!root || typeof root !== "object" || nodes.has(root)) {
+    return nodes;
+  }
+
+  if (root.type !== undefined) {
+    nodes.add(root);
+  }
+
+  // A `declaration` (from naming) points at a node elsewhere in the program
+  for (const key of Object.keys(root)) {
+    if (key !== "span" && key !== "declaration") {
+      collectNodes(root[key], nodes);
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Find the declarations that a parse tree uses, directly or through the
+ * functions it calls, by following the `declaration` links from naming
+ *
+ * @param {Array|Object} root - Parse tree node(s) to start from
+ * @param {Map} functions - Map from each function's declaring Identifier
+ *   to its ConstDeclaration
+ * @returns {Set} - The declaring Identifier of each declaration used
+ */
+function usedDeclarations(root, functions) {
+  const used = new Set();
+  const visit = (node) => {
+    for (const { type, declaration } of collectNodes(node)) {
+      if (type !== "Identifier" || !declaration || used.has(declaration)) {
+        continue;
+      }
+      used.add(declaration);
+      if (functions.has(declaration)) {
+        visit(functions.get(declaration).init);
+      }
+    }
+  };
+
+  visit(root);
+  return used;
+}
+
+/**
+ * Read a string that the generated WebAssembly stored in memory: a 4-byte
+ * little-endian length, followed by one byte per character
+ */
+function readString(memory, pointer) {
+  const view = new DataView(memory.buffer);
+  const length = view.getUint32(pointer, true);
+  const bytes = new Uint8Array(memory.buffer, pointer + 4, length);
+
+  return String.fromCharCode(...bytes);
+}
+
+/**
+ * Check whether a declaration declares a function
+ */
+function isFunction(declaration) {
+  return declaration.init.type === "ArrowFunctionExpression";
+}
+
+/**
+ * Format the result of running an expression, given its type
+ *
+ * @param {number} result - The value the WebAssembly function returned
+ * @param {Object} type - The expression's resolved type
+ * @param {WebAssembly.Memory} memory - The module's memory, where Strings are
+ * @returns {string} - The value, as the REPL shows it
+ */
+function formatValue(result, type, memory) {
+  if (type.concrete === "Boolean") {
+    return result !== 0 ? "true" : "false";
+  }
+  if (type.concrete === "String") {
+    return JSON.stringify(readString(memory, result));
+  }
+
+  // String(-0) is "0", but the sign of zero can matter (1 / -0 is
+  // -Infinity), so show it
+  return Object.is(result, -0) ? "-0" : String(result);
+}
+
+/**
+ * Create a REPL session, which remembers declarations between entries
+ *
+ * @param {Object} options - Whether to use `color` in error messages
+ * @returns {Object} - The session, whose `evaluate` method takes one entry
+ *   and resolves to the text to print in response
+ */
+function createSession(options = {}) {
+  const color = options.color || false;
+
+  // Every declaration entered so far, in order, and the checkers that have
+  // checked them
+  let declarations = [];
+  let names = createNameChecker();
+  let types = createTypeChecker();
+  // The value of each declared constant that isn't a function, worked out
+  // when it was declared, as a literal node, by its declaring Identifier
+  let values = new Map();
+
+  /**
+   * Render errors from an entry. Errors inside the entry are shown against
+   * its source; errors in an earlier entry (such as code generation errors
+   * in a function it calls) are shown without a code frame, since their
+   * spans point elsewhere. For the same reason, labels pointing into earlier
+   * entries are left out.
+   */
+  function renderErrors(errors, sourceCode, entryNodes, fileName = "<repl>") {
+    const located = errors.map((error) => {
+      if (error.node && !entryNodes.has(error.node)) {
+        return { ...error, span: undefined, labels: undefined };
+      }
+
+      const labels = (error.labels || []).filter((label) =>
+        entryNodes.has(label.node),
+      );
+      return { ...error, labels };
+    });
+
+    return renderDiagnostics(located, sourceCode, { fileName, color });
+  }
+
+  /**
+   * Run naming and type checking on statements that follow the session's
+   * declarations, using copies of the session's checkers
+   *
+   * @returns {Object} - Any `errors`; and if naming succeeded, the type
+   *   `environment` of every name so far and the copied checkers, which
+   *   have now checked the statements too
+   */
+  function check(statements) {
+    const nameChecker = names.fork();
+    const nameErrors = nameChecker.check(statements).errors;
+    if (nameErrors.length > 0) {
+      return { errors: nameErrors };
+    }
+
+    const typeChecker = types.fork();
+    return { ...typeChecker.check(statements), nameChecker, typeChecker };
+  }
+
+  /**
+   * Parse an expression entry and check it against the session's
+   * declarations
+   *
+   * @returns {Object} - Either `errors` to print, or the `expression` and
+   *   its `type`
+   */
+  function checkExpression(sourceCode) {
+    const { ast: expression, errors: parseErrors } = compile(sourceCode, {
+      expression: true,
+    });
+    if (parseErrors.length > 0) {
+      return { errors: renderErrors(parseErrors, sourceCode, new Set()) };
+    }
+
+    const entryNodes = collectNodes(expression);
+
+    // Check the expression as if it were bound to a name
+    const entry = {
+      type: "ConstDeclaration",
+      id: { type: "Identifier", name: ENTRY_NAME, span: expression.span },
+      init: expression,
+      typeAnnotation: null,
+      span: expression.span,
+    };
+
+    const { errors, environment } = check([entry]);
+    if (errors.length > 0) {
+      return { errors: renderErrors(errors, sourceCode, entryNodes) };
+    }
+
+    return { expression, type: environment[ENTRY_NAME], entryNodes };
+  }
+
+  /**
+   * Add const declarations to the session, printing the type of each
+   *
+   * Each constant that isn't a function is evaluated now, once, and later
+   * entries use its value. So anything it logs is printed here, and if it
+   * can't be compiled, the entry is reported and forgotten like any other
+   * error.
+   */
+  async function declare(sourceCode, fileName) {
+    const { ast, errors: parseErrors } = compile(sourceCode);
+    if (parseErrors.length > 0) {
+      return renderErrors(parseErrors, sourceCode, new Set(), fileName);
+    }
+
+    if (ast.some((statement) => statement.type !== "ConstDeclaration")) {
+      return "Only const declarations and expressions can be entered";
+    }
+
+    const entryNodes = collectNodes(ast);
+    const { errors, environment, nameChecker, typeChecker } = check(ast);
+    if (errors.length > 0) {
+      return renderErrors(errors, sourceCode, entryNodes, fileName);
+    }
+
+    // Evaluate the values in order, since each may use the ones before
+    const newDeclarations = declarations.concat(ast);
+    const newValues = new Map(values);
+    const logged = [];
+    for (const declaration of ast) {
+      const type = environment[declaration.id.name];
+      if (isFunction(declaration) || type.function) continue;
+
+      const outcome = await execute(
+        declaration.init,
+        newDeclarations,
+        newValues,
+      );
+      if (outcome.errors) {
+        return renderErrors(outcome.errors, sourceCode, entryNodes, fileName);
+      }
+
+      logged.push(...outcome.logged);
+      newValues.set(
+        declaration.id,
+        type.concrete === "String"
+          ? {
+              type: "StringLiteral",
+              value: readString(outcome.memory, outcome.result),
+            }
+          : { type: "NumericLiteral", value: outcome.result },
+      );
+    }
+
+    declarations = newDeclarations;
+    values = newValues;
+    names = nameChecker;
+    types = typeChecker;
+
+    const declared = ast.map((declaration) => {
+      const { name } = declaration.id;
+      return `${name} : ${formatType(environment[name])}`;
+    });
+    return logged.concat(declared).join("\n");
+  }
+
+  /**
+   * Run a checked expression by compiling it to WebAssembly, as the body of
+   * an entry function
+   *
+   * Only the functions the expression can reach are compiled, so that a
+   * function that can't be compiled only matters to entries that use it.
+   * The values it uses become locals of the entry function, set to the
+   * values they were found to have when declared. (Booleans are stored as the
+   * Numbers 1 and 0, which is how the generated code represents them.)
+   *
+   * @param {Object} expression - The expression's parse tree
+   * @param {Array} available - The declarations it may use
+   * @param {Map} knownValues - The value of each constant, as in `values`
+   * @returns {Promise<Object>} - Either `errors` from code generation, or
+   *   the `result`, the module's `memory`, and the values `logged`
+   */
+  async function execute(expression, available, knownValues) {
+    const functions = new Map();
+    for (const declaration of available.filter(isFunction)) {
+      functions.set(declaration.id, declaration);
+    }
+    const used = usedDeclarations(expression, functions);
+
+    const locals = available
+      .filter((declaration) => knownValues.has(declaration.id))
+      .filter((declaration) => used.has(declaration.id))
+      .map((declaration) => ({
+        ...declaration,
+        init: knownValues.get(declaration.id),
+      }));
+
+    const entryFunction = {
+      type: "ConstDeclaration",
+      id: { type: "Identifier", name: ENTRY_NAME },
+      init: {
+        type: "ArrowFunctionExpression",
+        params: [],
+        body: {
+          type: "BlockStatement",
+          body: [...locals, { type: "ReturnStatement", argument: expression }],
+        },
+        returnType: null,
+      },
+      typeAnnotation: null,
+    };
+
+    const program = [...functions.values()]
+      .filter((declaration) => used.has(declaration.id))
+      .concat([entryFunction]);
+    const { wasm, errors } = generateWasm(program, { entryPoint: ENTRY_NAME });
+    if (errors.length > 0) return { errors };
+
+    const logged = [];
+    const { instance } = await WebAssembly.instantiate(wasm, {
+      console: { log: (value) => logged.push(String(value)) },
+    });
+    const result = instance.exports[ENTRY_NAME]();
+
+    return { result, memory: instance.exports.memory, logged };
+  }
+
+  /**
+   * Evaluate a checked expression and show its value
+   */
+  async function run(expression, type, entryNodes, sourceCode) {
+    const outcome = await execute(expression, declarations, values);
+    if (outcome.errors) {
+      return renderErrors(outcome.errors, sourceCode, entryNodes);
+    }
+
+    const value = formatValue(outcome.result, type, outcome.memory);
+    return outcome.logged.concat([`${value} : ${formatType(type)}`]).join("\n");
+  }
+
+  /**
+   * Handle one line of input
+   *
+   * @param {string} input - A declaration, expression, or command
+   * @returns {Promise<string>} - The text to print in response
+   */
+  async function evaluate(input) {
+    const trimmed = input.trim();
+    if (trimmed === "") return "";
+
+    if (trimmed.startsWith(":")) {
+      const [, command, argument] = trimmed.match(/^:(\S*)\s*([\s\S]*)$/);
+
+      switch (command) {
+        case "type": {
+          const result = checkExpression(argument);
+          if (result.errors) return result.errors;
+          return `${argument} : ${formatType(result.type)}`;
+        }
+
+        case "ast": {
+          const { ast, errors } = compile(argument, { expression: true });
+          if (errors.length > 0) {
+            return renderErrors(errors, argument, new Set());
+          }
+          return astToJson(ast);
+        }
+
+        case "load": {
+          let sourceCode;
+          try {
+            sourceCode = fs.readFileSync(argument, "utf8");
+          } catch (error) {
+            return `Cannot read ${argument}: ${error.message}`;
+          }
+          return declare(sourceCode, argument);
+        }
+
+        case "reset":
+          declarations = [];
+          values = new Map();
+          names = createNameChecker();
+          types = createTypeChecker();
+          return "Session reset";
+
+        case "help":
+          return HELP;
+
+        default:
+          return `Unknown command: :${command}\n\n${HELP}`;
+      }
+    }
+
+    if (/^const\b/.test(trimmed)) {
+      return declare(input);
+    }
+
+    const result = checkExpression(input);
+    if (result.errors) return result.errors;
+
+    // Functions can't be returned from WebAssembly, so just show the type
+    const { expression, type, entryNodes } = result;
+    if (type.function) {
+      return `<function> : ${formatType(type)}`;
+    }
+
+    return run(expression, type, entryNodes, input);
+  }
+
+  return { evaluate };
+}
+
+/**
+ * Start an interactive REPL on the given streams
+ *
+ * @param {Object} options - The `input` and `output` streams to use
+ */
+function startRepl(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const session = createSession({ color: Boolean(output.isTTY) });
+  const rl = readline.createInterface({ input, output, prompt: "> " });
+
+  // Entries are evaluated asynchronously, so handle them one at a time
+  let pending = Promise.resolve();
+
+  output.write("Type :help for help.\n");
+  rl.prompt();
+
+  rl.on("line", (line) => {
+    pending = pending.then(async () => {
+      if (line.trim() === ":quit") {
+        rl.close();
+        return;
+      }
+
+      try {
+        const response = await session.evaluate(line);
+        if (response !== "") {
+          output.write(response + "\n");
+        }
+      } catch (error) {
+        output.write(`Internal error: ${error.message}\n`);
+      }
+      rl.prompt();
+    });
+  });
+}
+
+module.exports = {
+  createSession,
+  startRepl,
+};
@@ -29,12 +29,22 @@ const TOKEN_PATTERNS = [
   { type: "ARROW", regex: /^=>/ }, // => for arrow functions
   { type: "TERNARY", regex: /^\?/ }, // ? for ternary expressions
   { type: "COLON", regex: /^:/ }, // : for ternary expressions and type annotations
+  { type: "EQUAL_EQUAL", regex: /^==/ }, // == for equality
+  { type: "NOT_EQUAL", regex: /^!=/ }, // != for inequality
+  { type: "NOT", regex: /^!/ }, // ! for logical not
+  { type: "AND", regex: /^&&/ }, // && for logical and
+  { type: "OR", regex: /^\|\|/ }, // || for logical or (before the single |)
+  { type: "LESS_EQUAL", regex: /^<=/ }, // <= for comparison
+  { type: "GREATER_EQUAL", regex: /^>=/ }, // >= for comparison
   { type: "EQUAL", regex: /^=/ }, // = for assignments
   { type: "PIPE", regex: /^\|/ }, // | for union types
-  { type: "LESS_THAN", regex: /^</ }, // < for generic types
-  { type: "GREATER_THAN", regex: /^>/ }, // > for generic types
+  { type: "LESS_THAN", regex: /^</ }, // < for comparison and generic types
+  { type: "GREATER_THAN", regex: /^>/ }, // > for comparison and generic types
   { type: "MULTIPLY", regex: /^\*/ }, // * for multiplication
+  { type: "DIVIDE", regex: /^\// }, // / for division (after comments, which also start with /)
+  { type: "MODULO", regex: /^%/ }, // % for remainder
   { type: "PLUS", regex: /^\+/ }, // + for addition
+  { type: "MINUS", regex: /^-/ }, // - for subtraction and negation
   { type: "LEFT_PAREN", regex: /^\(/ }, // (
   { type: "RIGHT_PAREN", regex: /^\)/ }, // )
   { type: "LEFT_CURLY", regex: /^\{/ }, // {
@@ -47,7 +57,7 @@ const TOKEN_PATTERNS = [
   // Literals and identifiers
   { type: "BOOLEAN", regex: /^(true|false)\b/ }, // Boolean literals
   { type: "IDENTIFIER", regex: /^[a-zA-Z_][a-zA-Z0-9_]*/ }, // Variable and function names
-  { type: "NUMBER", regex: /^[0-9]+(\.[0-9]+)?/ }, // Numeric literals
+  { type: "NUMBER", regex: /^[0-9]+(\.[0-9]+)?/ }, // Numeric literals (-1 is unary minus applied to 1)
   { type: "STRING", regex: /^"([^"\\]|\\.)*("|$)/ }, // String literals with double quotes
   { type: "STRING", regex: /^'([^'\\]|\\.)*(\'|$)/ }, // String literals with single quotes
 ];
@@ -55,12 +65,62 @@ const TOKEN_PATTERNS = [
 /**
  * Tokenize source code into a stream of tokens
  *
+ * Every token records a `span` with the line and column where it starts and
+ * ends, so that later phases can point at the exact source text involved.
+ * Lines and columns are 1-based; `end` points just past the last character.
+ *
+ * By default, the first character that doesn't start any token is a fatal
+ * error. If an `errors` list is passed in, the tokenizer recovers instead:
+ * it emits an ERROR token covering the bad characters, records a diagnostic
+ * in `errors`, and keeps scanning.
+ *
+ * Comments aren't part of the token stream, but if a `comments` list is
+ * passed in, each comment is added to it as a COMMENT token.
+ *
  * @param {string} sourceCode - The raw source code to tokenize
+ * @param {Array} [errors] - Optional list to collect lexical errors into
+ * @param {Array} [comments] - Optional list to collect comments into
  * @returns {Array} - A list of token objects
  */
-function tokenize(sourceCode) {
+function tokenize(sourceCode, errors, comments) {
   const tokens = [];
   let position = 0; // Current position in the source code
+  let line = 1; // Line of the current position
+  let column = 1; // Column of the current position
+
+  /**
+   * Get the current location as an { offset, line, column } point
+   */
+  function currentLocation() {
+    return { offset: position, line, column };
+  }
+
+  /**
+   * Move past the given text, keeping line and column up to date
+   */
+  function advance(text) {
+    for (const char of text) {
+      if (char === "\n") {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+    position += text.length;
+  }
+
+  /**
+   * Check whether the source code at the current position could begin a
+   * token (or whitespace, which separates tokens)
+   */
+  function atTokenBoundary() {
+    const rest = sourceCode.slice(position);
+    return (
+      /^\s/.test(rest) ||
+      TOKEN_PATTERNS.some((pattern) => pattern.regex.test(rest))
+    );
+  }
 
   /**
    * Helper function to skip over whitespace characters
@@ -70,7 +130,7 @@ function tokenize(sourceCode) {
     const match = sourceCode.slice(position).match(/^\s+/);
     if (match) {
       const whitespaceText = match[0];
-      position += whitespaceText.length;
+      advance(whitespaceText);
     }
   }
 
@@ -95,28 +155,39 @@ function tokenize(sourceCode) {
       if (match) {
         const value = match[0];
         const startPosition = position;
+        const start = currentLocation();
 
         // Skip comments, don't add them to the token stream
         if (pattern.type === "COMMENT") {
-          position += value.length;
+          advance(value);
+          if (comments) {
+            comments.push({
+              type: "COMMENT",
+              value,
+              position: startPosition,
+              span: { start, end: currentLocation() },
+            });
+          }
           matched = true;
           break;
         }
 
+        // Advance our position by the length of the matched token
+        advance(value);
+
         // Create a token object with:
         // - type: the category of token (e.g., "IDENTIFIER", "NUMBER")
         // - value: the actual text from the source code
         // - position: the index in the source string where this token appears
+        // - span: the line and column where this token starts and ends
         const token = {
           type: pattern.type,
           value,
           position: startPosition,
+          span: { start, end: currentLocation() },
         };
 
         tokens.push(token);
-
-        // Advance our position by the length of the matched token
-        position += value.length;
         matched = true;
         break;
       }
@@ -124,9 +195,34 @@ function tokenize(sourceCode) {
 
     // If no token pattern matches, we have an error in the source code
     if (!matched) {
-      throw new Error(
-        `Unexpected character at position ${position}: "${sourceCode.charAt(position)}"`,
-      );
+      if (!errors) {
+        throw new Error(
+          `Unexpected character at position ${position} (line ${line}, column ${column}): "${sourceCode.charAt(position)}"`,
+        );
+      }
+
+      // Recover by grouping the run of bad characters into one ERROR token
+      const startPosition = position;
+      const start = currentLocation();
+      do {
+        advance(sourceCode.charAt(position));
+      } while (position < sourceCode.length && !atTokenBoundary());
+
+      const value = sourceCode.slice(startPosition, position);
+      const token = {
+        type: "ERROR",
+        value,
+        position: startPosition,
+        span: { start, end: currentLocation() },
+      };
+
+      tokens.push(token);
+      errors.push({
+        code: "L001",
+        message: `Unexpected ${value.length === 1 ? "character" : "characters"}: "${value}"`,
+        token,
+        span: token.span,
+      });
     }
   }
 
@@ -134,11 +230,28 @@ function tokenize(sourceCode) {
   tokens.push({
     type: "EOF",
     position: position,
+    span: { start: currentLocation(), end: currentLocation() },
   });
 
   return tokens;
 }
 
+/**
+ * Tokenize source code without stopping at the first bad character
+ *
+ * @param {string} sourceCode - The raw source code to tokenize
+ * @returns {Object} - The tokens (including ERROR tokens), lexical errors,
+ *   and comments
+ */
+function tokenizeWithRecovery(sourceCode) {
+  const errors = [];
+  const comments = [];
+  const tokens = tokenize(sourceCode, errors, comments);
+
+  return { tokens, errors, comments };
+}
+
 module.exports = {
   tokenize,
+  tokenizeWithRecovery,
 };
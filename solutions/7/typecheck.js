@@ -6,558 +6,1497 @@
  * - Infers types for expressions and declarations
  * - Ensures type consistency across variable usages
  * - Reports type errors when incompatible types are used
+ *
+ * Each entry in the types database (db) is one of:
+ * - null: a type variable we don't know anything about yet
+ * - { symlink: id }: the same type as another entry
+ * - { concrete: name }: a concrete type such as Number or String
+ * - { function: { params, returns } }: a function type, whose parameter
+ *   types and return type are themselves type ids
+ * - { array: id }: an array type, whose element type is a type id
+ * - { error: true }: the type of something that already has a type error.
+ *   It unifies with anything without complaint, so that one mistake is
+ *   reported once, rather than again at every place its type flows to.
+ *
+ * Functions bound with `const` are polymorphic ("let-polymorphism"): the
+ * scope maps each name to a type scheme, which records the type variables
+ * that may stand for a different type at each use. For example,
+ * `const id = (x) => { return x; }` gets the scheme "for all a, (a) => a",
+ * so `id(1)` and `id("one")` can both be type-checked.
+ *
+ * Type ids only mean something to the db they were made in, which is thrown
+ * away by the next call to typeCheck. So once inference is done, typeCheck
+ * resolves the type of every expression into plain data that doesn't refer
+ * to the db (see resolveType), and returns those in a side table keyed by
+ * node, along with the type of each top-level binding.
+ *
+ * All of a program's state (the db, the scope, and the errors) belongs to a
+ * type checker made by createTypeChecker, so separate programs can be
+ * checked side by side without interfering. A checker can also check a
+ * program a few statements at a time, as the REPL does: the names declared
+ * by each call stay in scope for the next.
  */
 
-// The types database (unification table)
-let db = [];
-let errors = [];
-let nextTypeId = 0;
-let scope = {}; // Variable scope to track types
+// The concrete type each type annotation name stands for
+const ANNOTATION_TYPES = {
+  number: "Number",
+  Float: "Number",
+  string: "String",
+  boolean: "Boolean",
+  Bool: "Boolean",
+  void: "Void",
+  Void: "Void",
+  Unit: "Void",
+};
 
-/**
- * Create a new type variable (type id)
- *
- * @returns {number} - A fresh type id
- */
-function freshTypeId() {
-  const id = nextTypeId++;
-  db[id] = null;
-  return id;
-}
+// Arithmetic operators other than +, which only work on Numbers
+const ARITHMETIC_OPERATORS = ["-", "*", "/", "%"];
+
+// Comparison operators, which all produce a Boolean. Equality works on
+// Numbers and Booleans, but ordering only on Numbers.
+const EQUALITY_OPERATORS = ["==", "!="];
+const ORDERING_OPERATORS = ["<", "<=", ">", ">="];
+
+// Node types that are statements rather than expressions, whose types
+// aren't recorded in the side table
+const STATEMENT_TYPES = [
+  "ConstDeclaration",
+  "ReturnStatement",
+  "BlockStatement",
+];
 
 /**
- * Report a type error found during analysis
+ * Create a type scheme with no quantified variables, for names (like
+ * function parameters) that have the same type everywhere they're used
  *
- * @param {string} message - Error message
- * @param {object} node - Parse tree node where the error occurred
+ * @param {number} typeId - The type id
+ * @returns {object} - The type scheme
  */
-function reportError(message, node) {
-  errors.push({ message, node });
+function monomorphic(typeId) {
+  return { quantified: [], typeId };
 }
 
 /**
- * Create a concrete type in the types database
+ * Describe a resolved type in a readable form, such as `(a, a) -> a`,
+ * `Array<Number>`, or `(Number -> b) -> b`
+ *
+ * Type variables are named a, b, c, ... in the order they're first seen.
+ * Pass the same `names` map when describing several types in one message,
+ * so that the same variable gets the same name in each.
  *
- * @param {string} typeName - Name of the concrete type (e.g., "String", "Number")
- * @returns {number} - The type id of the new concrete type
+ * @param {object} type - The resolved type to describe (see resolveType)
+ * @param {Map} names - The names given to type variables so far
+ * @returns {string} - The description
  */
-function createConcreteType(typeName) {
-  const id = nextTypeId++;
-  db[id] = { concrete: typeName };
-  return id;
+function formatType(type, names = new Map()) {
+  if (type.variable !== undefined) {
+    if (!names.has(type.variable)) {
+      // a through z, then a1 through z1, and so on
+      const index = names.size;
+      const suffix = index < 26 ? "" : String(Math.floor(index / 26));
+      names.set(type.variable, String.fromCharCode(97 + (index % 26)) + suffix);
+    }
+    return names.get(type.variable);
+  }
+
+  if (type.function) {
+    const { params, returns } = type.function;
+
+    const paramNames = params.map((param) => formatType(param, names));
+
+    // A single parameter doesn't need parentheses, unless it's a function
+    // itself: `(Number -> b) -> b` takes a function, `Number -> b -> b`
+    // returns one
+    const paramList =
+      params.length === 1 && !params[0].function
+        ? paramNames[0]
+        : `(${paramNames.join(", ")})`;
+
+    return `${paramList} -> ${formatType(returns, names)}`;
+  }
+
+  if (type.array) {
+    return `Array<${formatType(type.array, names)}>`;
+  }
+
+  if (type.error) {
+    return "<error>";
+  }
+
+  return type.concrete;
 }
 
 /**
- * Find the ultimate type that a type id points to, with path compression
+ * Find the top-level declarations that a parse tree node refers to, using
+ * the `declaration` links that naming adds to each identifier
+ *
+ * The node must already have been through nameCheck (see naming.js). An
+ * identifier without a `declaration` link isn't counted as a reference.
  *
- * @param {number} typeId - The type id to find
- * @returns {number} - The ultimate type id after following all symlinks
+ * @param {object|Array} node - Parse tree node(s) to search
+ * @param {Map} declarations - Map from each declaring Identifier to its
+ *   ConstDeclaration
+ * @param {Set} found - The set to add the declarations referred to
+ * @returns {Set} - The set of declarations
  */
-function resolveSymlinksAndCompress(typeId) {
-  const entry = db[typeId];
+function collectReferences(node, declarations, found = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectReferences(child, declarations, found));
+    return found;
+  }
 
-  // If it's null, it's a type variable that hasn't been unified yet
-  if (entry === null) {
-    return typeId;
+  if (!node || typeof node !== "object") {
+    return found;
   }
 
-  // If it's a symlink, follow it (with path compression)
-  if (entry && entry.symlink !== undefined) {
-    const ultimateTypeId = resolveSymlinksAndCompress(entry.symlink);
+  // A declaring identifier's `declaration` is itself, which isn't a use
+  const isReference = node.type === "Identifier" && node.declaration !== node;
+  if (isReference && declarations.has(node.declaration)) {
+    found.add(declarations.get(node.declaration));
+  }
 
-    // Path compression: update the symlink to point directly to the ultimate type
-    if (ultimateTypeId !== entry.symlink) {
-      db[typeId] = { symlink: ultimateTypeId };
+  for (const key of Object.keys(node)) {
+    if (key !== "span" && key !== "declaration") {
+      collectReferences(node[key], declarations, found);
     }
-
-    return ultimateTypeId;
   }
 
-  // For concrete types
-  return typeId;
+  return found;
 }
 
 /**
- * Get the concrete type name of a type id, if it has one
+ * Split top-level statements into the groups that have to be type-checked
+ * together because they refer to each other (the strongly connected
+ * components of the graph of which statements refer to which), using
+ * Tarjan's algorithm
+ *
+ * The groups come out in an order where each comes after the groups it
+ * refers to. Statements that don't refer to later ones stay in source order.
  *
- * @param {number} typeId - The type id to check
- * @returns {string|null} - The concrete type name, or null if it's a type variable
+ * References are found by collectReferences, so this relies on nameCheck
+ * having linked each identifier to its declaration. Without those links,
+ * every statement would be a group of its own, in source order, and a
+ * function used before its declaration wouldn't be checked first.
+ *
+ * @param {Array} statements - Top-level statements, already name-checked
+ * @returns {Array} - The groups, each with its `statements` in source order
+ *   and whether it's `recursive` (refers to itself)
  */
-function getConcreteTypeName(typeId) {
-  const ultimateId = resolveSymlinksAndCompress(typeId);
-  const entry = db[ultimateId];
+function dependencyGroups(statements) {
+  const declarations = new Map();
+  for (const statement of statements) {
+    if (statement.type === "ConstDeclaration") {
+      declarations.set(statement.id, statement);
+    }
+  }
 
-  if (entry && entry.concrete !== undefined) {
-    return entry.concrete;
+  const groups = [];
+  const indices = new Map(); // The order each statement was reached in
+  const lowLinks = new Map(); // The earliest statement each one reaches
+  const stack = [];
+
+  const connect = (statement) => {
+    indices.set(statement, indices.size);
+    lowLinks.set(statement, indices.get(statement));
+    stack.push(statement);
+
+    const references = collectReferences(statement, declarations);
+    for (const reference of references) {
+      if (!indices.has(reference)) {
+        connect(reference);
+        lowLinks.set(
+          statement,
+          Math.min(lowLinks.get(statement), lowLinks.get(reference)),
+        );
+      } else if (stack.includes(reference)) {
+        lowLinks.set(
+          statement,
+          Math.min(lowLinks.get(statement), indices.get(reference)),
+        );
+      }
+    }
+
+    // This statement is the first of its group to be reached, so the rest
+    // of the group is above it on the stack
+    if (lowLinks.get(statement) === indices.get(statement)) {
+      const group = stack.splice(stack.indexOf(statement));
+      group.sort((a, b) => statements.indexOf(a) - statements.indexOf(b));
+      groups.push({
+        statements: group,
+        recursive: group.length > 1 || references.has(statement),
+      });
+    }
+  };
+
+  for (const statement of statements) {
+    if (!indices.has(statement)) connect(statement);
   }
 
-  return null;
+  return groups;
 }
 
 /**
- * Report a type mismatch error
+ * Create a type checker, which holds the state of type checking one program
  *
- * @param {number} typeId1 - First type id involved in the mismatch
- * @param {number} typeId2 - Second type id involved in the mismatch
- * @param {object} [node] - Optional node where the error occurred
- * @returns {boolean} - Always returns false to indicate unification failed
+ * @param {object} state - The `db`, `scope` and `origins` to start from, copied from
+ *   another checker by fork; by default, an empty program
+ * @returns {object} - The checker, with `check` and `fork` methods
  */
-function reportTypeMismatch(typeId1, typeId2, node) {
-  const type1Name = getConcreteTypeName(typeId1) || "unknown";
-  const type2Name = getConcreteTypeName(typeId2) || "unknown";
-
-  reportError(
-    `Type mismatch: cannot unify ${type1Name} with ${type2Name}`,
-    node,
-  );
-  return false;
-}
+function createTypeChecker(state = {}) {
+  // The types database (unification table)
+  const db = state.db ? [...state.db] : [];
+  let errors = [];
+  let nextTypeId = db.length;
+  let scope = new Map(state.scope); // Variable scope, mapping each name to a type scheme
+  // Where each type came from: the node that first gave it its type, and a
+  // description of that node for error messages, like "literal"
+  const origins = state.origins ? [...state.origins] : [];
+  let nodeTypes = new Map(); // The type id of each expression node visited
+  // Types that have to turn out to be a Number or a Boolean (see
+  // expectNumberOrBoolean), and aren't known yet
+  let numberOrBooleanChecks = [];
+
+  /**
+   * Create a new type variable (type id)
+   *
+   * @returns {number} - A fresh type id
+   */
+  function freshTypeId() {
+    const id = nextTypeId++;
+    db[id] = null;
+    return id;
+  }
 
-/**
- * Unify two types, ensuring they are compatible
- * This is the core of the Hindley-Milner type system
- *
- * @param {number} typeId1 - First type id to unify
- * @param {number} typeId2 - Second type id to unify
- * @returns {boolean} - True if unification succeeded, false if failed
- */
-const unify = (aTypeId, bTypeId, node) => {
-  const aType = resolveSymlinksAndCompress(aTypeId);
-  const bType = resolveSymlinksAndCompress(bTypeId);
-
-  // If they're already the same, we're done
-  if (aType === bType) return true;
-
-  const aEntry = db[aType];
-  const bEntry = db[bType];
-
-  // If both have concrete types and they're different, report mismatch
-  if (
-    aEntry &&
-    aEntry.concrete !== undefined &&
-    bEntry &&
-    bEntry.concrete !== undefined &&
-    aEntry.concrete !== bEntry.concrete
-  ) {
-    return reportTypeMismatch(aType, bType, node);
-  }
-
-  if (aEntry === null) {
-    // If aEntry is null (unassigned type variable)
-    db[aType] =
-      bEntry === null
-        ? { symlink: bType }
-        : bEntry.concrete !== undefined
-          ? { concrete: bEntry.concrete }
-          : { symlink: bType };
-    return true;
-  } else if (bEntry === null) {
-    return unify(bTypeId, aTypeId, node); // Swap the args
-  } else if (aEntry.concrete !== undefined) {
-    // a is concrete, b is not null but must be a variable
-    db[bType] = { symlink: aType };
-  } else {
-    // a is not concrete and not null, so must be a variable
-    db[aType] = { symlink: bType };
-  }
-
-  return true;
-};
+  // The type of each built-in function (see builtins.js), created afresh for
+  // each use of it
+  const builtinTypes = {
+    // log passes its argument through, so it has type a -> a, where a is
+    // a Number or a Boolean
+    log: (node) => {
+      const valueType = freshTypeId();
+      expectNumberOrBoolean(
+        valueType,
+        node,
+        "T014",
+        (typeName) =>
+          `Cannot log a value of type ${typeName}: log only prints Numbers and Booleans`,
+      );
+      return createFunctionType([valueType], valueType, {
+        node,
+        description: "built-in function",
+      });
+    },
+  };
+
+  /**
+   * Report a type error found during analysis
+   *
+   * @param {string} code - Stable error code (see codes.js)
+   * @param {string} message - Error message
+   * @param {object} node - Parse tree node where the error occurred
+   * @param {Array} labels - Secondary labels explaining the error, each with
+   *   the `node` it points at, its `span`, and a `message`
+   */
+  function reportError(code, message, node, labels = []) {
+    errors.push({ code, message, node, span: node && node.span, labels });
+  }
 
-/**
- * Visit and type-check a parse tree node and its children
- *
- * @param {object} node - Parse tree node to visit
- * @returns {number} - The type id of the node
- */
-function visitNode(node) {
-  switch (node.type) {
-    case "ConstDeclaration":
-      return visitConstDeclaration(node);
+  /**
+   * Create a concrete type in the types database
+   *
+   * @param {string} typeName - Name of the concrete type (e.g., "String", "Number")
+   * @param {object} [origin] - The `node` the type comes from, and its
+   *   `description`
+   * @returns {number} - The type id of the new concrete type
+   */
+  function createConcreteType(typeName, origin) {
+    const id = nextTypeId++;
+    db[id] = { concrete: typeName };
+    origins[id] = origin;
+    return id;
+  }
 
-    case "ArrowFunctionExpression":
-      return visitArrowFunction(node);
+  /**
+   * Create a function type in the types database
+   *
+   * @param {Array} paramTypes - The type id of each parameter
+   * @param {number} returnType - The type id of the return value
+   * @param {object} [origin] - The `node` the type comes from, and its
+   *   `description`
+   * @returns {number} - The type id of the new function type
+   */
+  function createFunctionType(paramTypes, returnType, origin) {
+    const id = nextTypeId++;
+    db[id] = { function: { params: paramTypes, returns: returnType } };
+    origins[id] = origin;
+    return id;
+  }
 
-    case "Identifier":
-      return visitIdentifier(node);
+  /**
+   * Create an error type in the types database, for the result of
+   * something that has a type error
+   *
+   * @returns {number} - The type id of the new error type
+   */
+  function createErrorType() {
+    const id = nextTypeId++;
+    db[id] = { error: true };
+    return id;
+  }
 
-    case "ReturnStatement":
-      return visitReturnStatement(node);
+  /**
+   * Create an array type in the types database
+   *
+   * @param {number} elementType - The type id of the array's elements
+   * @param {object} [origin] - The `node` the type comes from, and its
+   *   `description`
+   * @returns {number} - The type id of the new array type
+   */
+  function createArrayType(elementType, origin) {
+    const id = nextTypeId++;
+    db[id] = { array: elementType };
+    origins[id] = origin;
+    return id;
+  }
 
-    case "BinaryExpression":
-      return visitBinaryExpression(node);
+  /**
+   * Make one type a symlink to another. The type linked to keeps its own
+   * origin if it has one, and otherwise takes the other type's, so the
+   * first thing that constrained either of them is remembered.
+   *
+   * @param {number} fromTypeId - The type id to turn into a symlink
+   * @param {number} toTypeId - The type id it now stands for
+   */
+  function link(fromTypeId, toTypeId) {
+    db[fromTypeId] = { symlink: toTypeId };
+    if (origins[toTypeId] === undefined) {
+      origins[toTypeId] = origins[fromTypeId];
+    }
+  }
 
-    case "ConditionalExpression":
-      return visitConditionalExpression(node);
+  /**
+   * Find the ultimate type that a type id points to, with path compression
+   *
+   * @param {number} typeId - The type id to find
+   * @returns {number} - The ultimate type id after following all symlinks
+   */
+  function resolveSymlinksAndCompress(typeId) {
+    const entry = db[typeId];
+
+    // If it's null, it's a type variable that hasn't been unified yet
+    if (entry === null) {
+      return typeId;
+    }
+
+    // If it's a symlink, follow it (with path compression)
+    if (entry && entry.symlink !== undefined) {
+      const ultimateTypeId = resolveSymlinksAndCompress(entry.symlink);
 
-    case "CallExpression":
-      return visitCallExpression(node);
+      // Path compression: update the symlink to point directly to the ultimate type
+      if (ultimateTypeId !== entry.symlink) {
+        db[typeId] = { symlink: ultimateTypeId };
+      }
 
-    case "ArrayLiteral":
-      return visitArrayLiteral(node);
+      return ultimateTypeId;
+    }
+
+    // For concrete, function, and array types
+    return typeId;
+  }
+
+  /**
+   * Collect the type variables that appear in a type
+   *
+   * @param {number} typeId - The type id to search
+   * @param {Set} variables - The set to add the type variables' ids to
+   * @returns {Set} - The set of type variables
+   */
+  function freeTypeVariables(typeId, variables = new Set()) {
+    const resolved = resolveSymlinksAndCompress(typeId);
+    const entry = db[resolved];
+
+    if (entry === null) {
+      variables.add(resolved);
+    } else if (entry.function) {
+      entry.function.params.forEach((param) =>
+        freeTypeVariables(param, variables),
+      );
+      freeTypeVariables(entry.function.returns, variables);
+    } else if (entry.array !== undefined) {
+      freeTypeVariables(entry.array, variables);
+    }
+
+    return variables;
+  }
 
-    case "BlockStatement":
-      return visitBlockStatement(node);
+  /**
+   * Generalize a type into a type scheme, quantifying over the type variables
+   * that aren't also used by a name in scope. Those can be chosen differently
+   * at each use; the others will be fixed by the enclosing function.
+   *
+   * @param {number} typeId - The type id to generalize
+   * @returns {object} - The type scheme
+   */
+  function generalize(typeId) {
+    const scopeVariables = new Set();
+    for (const scheme of scope.values()) {
+      const variables = freeTypeVariables(scheme.typeId);
+      const quantified = scheme.quantified.map(resolveSymlinksAndCompress);
+      for (const variable of variables) {
+        if (!quantified.includes(variable)) scopeVariables.add(variable);
+      }
+    }
 
-    case "StringLiteral":
-      return createConcreteType("String");
+    // A quantified variable could stand for any type at each use, so first
+    // settle the checks on variables that are about to be quantified
+    settleNumberOrBooleanChecks((variable) => !scopeVariables.has(variable));
 
-    case "NumericLiteral":
-      return createConcreteType("Number");
+    const quantified = [...freeTypeVariables(typeId)].filter(
+      (variable) => !scopeVariables.has(variable),
+    );
 
-    case "BooleanLiteral":
-      return createConcreteType("Boolean");
+    return { quantified, typeId };
+  }
 
-    default:
-      reportError(`Unknown node type during type checking: ${node.type}`, node);
-      return freshTypeId(); // Return a fresh type as a fallback
+  /**
+   * Require a type to be a Number or a Boolean, the only values that the
+   * generated code can compare with `==` or hand to `log`. Any other value
+   * is a pointer into memory.
+   *
+   * There's no type for "a Number or a Boolean", so if the type isn't known
+   * yet, the check waits until it's about to be generalized, and then takes
+   * it to be a Number. So `(a, b) => a == b` compares Numbers.
+   *
+   * @param {number} typeId - The type id to check
+   * @param {object} node - Node to report an error at
+   * @param {string} code - Stable error code (see codes.js)
+   * @param {Function} describe - Called with the description of the type,
+   *   returning the error message
+   */
+  function expectNumberOrBoolean(typeId, node, code, describe) {
+    numberOrBooleanChecks.push({ typeId, node, code, describe });
+    settleNumberOrBooleanChecks(() => false);
   }
-}
 
-/**
- * Visit an identifier (variable reference)
- *
- * @param {object} node - Identifier node to visit
- * @returns {number} - The type id of the identifier
- */
-function visitIdentifier(node) {
-  // Look up the variable in the scope
-  if (scope[node.name] !== undefined) {
-    node.typeId = scope[node.name];
-    return node.typeId;
+  /**
+   * Settle the Number-or-Boolean checks whose types are now known, and
+   * those on type variables that may be taken to be Numbers
+   *
+   * @param {Function} canSettle - Called with a type variable, returning
+   *   whether it may be taken to be a Number
+   */
+  function settleNumberOrBooleanChecks(canSettle) {
+    numberOrBooleanChecks = numberOrBooleanChecks.filter((check) => {
+      const resolved = resolveSymlinksAndCompress(check.typeId);
+      const entry = db[resolved];
+
+      if (entry === null) {
+        if (!canSettle(resolved)) return true; // Wait until it's known
+        unifyTypes(
+          resolved,
+          createConcreteType("Number", {
+            node: check.node,
+            description: "default for a comparison or log",
+          }),
+        );
+      } else if (
+        !entry.error &&
+        entry.concrete !== "Number" &&
+        entry.concrete !== "Boolean"
+      ) {
+        reportError(
+          check.code,
+          check.describe(describeType(resolved)),
+          check.node,
+        );
+      }
+      return false;
+    });
   }
 
-  // If not found in scope, create a fresh type variable
-  if (node.typeId === undefined) {
-    node.typeId = freshTypeId();
+  /**
+   * Instantiate a type scheme, copying its type with a fresh type variable in
+   * place of each quantified one
+   *
+   * @param {object} scheme - The type scheme
+   * @returns {number} - The type id of the copy
+   */
+  function instantiate(scheme) {
+    if (scheme.quantified.length === 0) return scheme.typeId;
+
+    const substitutions = new Map(
+      scheme.quantified.map((variable) => [variable, freshTypeId()]),
+    );
+
+    const copy = (typeId) => {
+      const resolved = resolveSymlinksAndCompress(typeId);
+      const entry = db[resolved];
+
+      if (substitutions.has(resolved)) {
+        return substitutions.get(resolved);
+      }
+      if (entry && entry.function) {
+        return createFunctionType(
+          entry.function.params.map(copy),
+          copy(entry.function.returns),
+          origins[resolved],
+        );
+      }
+      if (entry && entry.array !== undefined) {
+        return createArrayType(copy(entry.array), origins[resolved]);
+      }
+      return resolved;
+    };
+
+    return copy(scheme.typeId);
   }
-  return node.typeId;
-}
 
-/**
- * Visit a binary expression (e.g., a + b)
- *
- * @param {object} node - BinaryExpression node to visit
- * @returns {number} - The type id of the binary expression
- */
-function visitBinaryExpression(node) {
-  const leftType = visitNode(node.left);
-  const rightType = visitNode(node.right);
+  /**
+   * Resolve a type id into plain data that no longer depends on the types
+   * database, following symlinks all the way down. The result has the same
+   * shape as a db entry, but with types in place of type ids:
+   * - { variable: id }: a type variable, identified by its type id
+   * - { concrete: name }: a concrete type such as Number or String
+   * - { function: { params, returns } }: a function type
+   * - { array: type }: an array type
+   * - { error: true }: the type of something with a type error
+   *
+   * @param {number} typeId - The type id to resolve
+   * @returns {object} - The resolved type
+   */
+  function resolveType(typeId) {
+    const resolved = resolveSymlinksAndCompress(typeId);
+    const entry = db[resolved];
+
+    if (entry === null) {
+      return { variable: resolved };
+    }
 
-  // Get concrete types for more precise error messages
-  const leftConcrete = getConcreteTypeName(leftType);
-  const rightConcrete = getConcreteTypeName(rightType);
+    if (entry.function) {
+      return {
+        function: {
+          params: entry.function.params.map(resolveType),
+          returns: resolveType(entry.function.returns),
+        },
+      };
+    }
 
-  if (node.operator === "+") {
-    // Check if we have concrete types and they don't match
-    if (leftConcrete && rightConcrete && leftConcrete !== rightConcrete) {
-      reportError(
-        `Type mismatch in binary operation: cannot add ${leftConcrete} to ${rightConcrete}`,
-        node,
-      );
-      return createConcreteType("Number"); // Return a placeholder type
+    if (entry.array !== undefined) {
+      return { array: resolveType(entry.array) };
     }
 
-    // If not both concrete, try to unify
-    const canUnify = unify(leftType, rightType, node);
-    if (!canUnify) {
-      reportError(
-        `Type mismatch in binary operation: cannot add ${leftConcrete || "unknown"} to ${rightConcrete || "unknown"}`,
-        node,
-      );
-      return createConcreteType("Number"); // Return a placeholder type
+    if (entry.error) {
+      return { error: true };
     }
 
-    return leftType;
-  } else if (node.operator === "*") {
-    // Multiplication: both operands must be numbers
-    const numberType = createConcreteType("Number");
+    return { concrete: entry.concrete };
+  }
 
-    // Check if we have concrete types that aren't numbers
-    if (leftConcrete && leftConcrete !== "Number") {
-      reportError(
-        `Type mismatch: expected Number for left operand of '*' operator, got ${leftConcrete}`,
-        node.left,
-      );
+  /**
+   * Describe the type a type id currently stands for, for an error message
+   *
+   * @param {number} typeId - The type id to describe
+   * @param {Map} names - The names given to type variables so far
+   * @returns {string} - The description
+   */
+  function describeType(typeId, names = new Map()) {
+    return formatType(resolveType(typeId), names);
+  }
+
+  /**
+   * Report an infinite type error, for when unification would make a type
+   * variable equal to a type that contains it
+   *
+   * @param {number} variable - The type variable
+   * @param {number} typeId - The type that contains the variable
+   * @param {object} node - Node where the error occurred
+   * @returns {boolean} - Always returns false to indicate unification failed
+   */
+  function reportInfiniteType(variable, typeId, node) {
+    const names = new Map();
+    const variableName = describeType(variable, names);
+
+    reportError(
+      "T010",
+      `Infinite type: ${variableName} = ${describeType(typeId, names)}`,
+      node,
+    );
+    return false;
+  }
+
+  /**
+   * Unify two types without reporting errors, so that a mismatch deep inside
+   * two types can be reported in terms of the whole types
+   *
+   * Function types unify structurally: they must take the same number of
+   * parameters, and each parameter type and the return type must unify.
+   * Array types unify if their element types do.
+   *
+   * @param {number} aTypeId - First type id to unify
+   * @param {number} bTypeId - Second type id to unify
+   * @returns {object|null} - null if unification succeeded, otherwise the
+   *   failure: either `{ mismatch: true }`, or `{ infinite: true }` with the
+   *   `variable` and the `typeId` that contains it
+   */
+  function unifyTypes(aTypeId, bTypeId) {
+    const aType = resolveSymlinksAndCompress(aTypeId);
+    const bType = resolveSymlinksAndCompress(bTypeId);
+
+    // If they're already the same, we're done
+    if (aType === bType) return null;
+
+    const aEntry = db[aType];
+    const bEntry = db[bType];
+
+    if (aEntry === null) {
+      // If aEntry is null (unassigned type variable). The "occurs check": a
+      // variable can't stand for a type that contains it, like a = a -> b,
+      // since writing that type out would never end.
+      if (bEntry !== null && freeTypeVariables(bType).has(aType)) {
+        return { infinite: true, variable: aType, typeId: bType };
+      }
+
+      if (bEntry !== null && bEntry.concrete !== undefined) {
+        db[aType] = { concrete: bEntry.concrete };
+        if (origins[aType] === undefined) origins[aType] = origins[bType];
+      } else {
+        link(aType, bType);
+      }
+      return null;
+    } else if (bEntry === null) {
+      return unifyTypes(bTypeId, aTypeId); // Swap the args
     }
 
-    if (rightConcrete && rightConcrete !== "Number") {
-      reportError(
-        `Type mismatch: expected Number for right operand of '*' operator, got ${rightConcrete}`,
-        node.right,
-      );
+    // The error type unifies with anything, since whatever caused it has
+    // already been reported
+    if (aEntry.error || bEntry.error) return null;
+
+    // Two concrete types unify only if they're the same type
+    if (aEntry.concrete !== undefined && bEntry.concrete !== undefined) {
+      if (aEntry.concrete !== bEntry.concrete) {
+        return { mismatch: true };
+      }
+
+      link(bType, aType);
+      return null;
     }
 
-    // If we don't have concrete types, try to unify with Number
-    if (!leftConcrete) {
-      unify(leftType, numberType, node.left);
+    // Two function types unify if their parts do
+    if (aEntry.function && bEntry.function) {
+      const aParams = aEntry.function.params;
+      const bParams = bEntry.function.params;
+      if (aParams.length !== bParams.length) {
+        return { mismatch: true };
+      }
+
+      for (let i = 0; i < aParams.length; i++) {
+        const failure = unifyTypes(aParams[i], bParams[i]);
+        if (failure) return failure;
+      }
+
+      const failure = unifyTypes(
+        aEntry.function.returns,
+        bEntry.function.returns,
+      );
+      if (failure) return failure;
+
+      link(bType, aType);
+      return null;
     }
 
-    if (!rightConcrete) {
-      unify(rightType, numberType, node.right);
+    // Two array types unify if their element types do
+    if (aEntry.array !== undefined && bEntry.array !== undefined) {
+      const failure = unifyTypes(aEntry.array, bEntry.array);
+      if (failure) return failure;
+
+      link(bType, aType);
+      return null;
     }
 
-    return numberType;
+    // Types of different kinds (such as a function and a Number) never unify
+    return { mismatch: true };
   }
 
-  // Default case: ensure both operands have the same type
-  if (leftConcrete && rightConcrete && leftConcrete !== rightConcrete) {
-    reportError(
-      `Type mismatch in binary operation: operands must have the same type, got ${leftConcrete} and ${rightConcrete}`,
+  /**
+   * Build a secondary label pointing at where a type came from, unless that
+   * is somewhere within the node the error is reported at anyway
+   *
+   * @param {number} typeId - The type id whose origin to point at
+   * @param {object} node - Node the error is reported at
+   * @param {Function} describe - Called with the origin's description,
+   *   returning the label's message
+   * @returns {object|null} - The label, or null if there's nothing to add
+   */
+  function originLabel(typeId, node, describe) {
+    const origin = origins[resolveSymlinksAndCompress(typeId)];
+    if (!origin || !origin.node.span) return null;
+
+    const { start, end } = origin.node.span;
+    const within =
+      node &&
+      node.span &&
+      start.offset < node.span.end.offset &&
+      node.span.start.offset < end.offset;
+    if (within) return null;
+
+    return {
+      node: origin.node,
+      span: origin.node.span,
+      message: describe(origin.description),
+    };
+  }
+
+  /**
+   * Unify two types, reporting a failure with the given error code and a
+   * message that describes the two types
+   *
+   * A mismatch error also gets labels pointing at where each type came
+   * from, if that's elsewhere: "expected Number because of this `*`" and
+   * "got String from this literal".
+   *
+   * @param {number} expectedTypeId - The type id the other has to match
+   * @param {number} actualTypeId - The type id to check against it
+   * @param {object} node - Node to report an error at if unification fails
+   * @param {string} code - Stable error code (see codes.js) for a mismatch
+   * @param {Function} describe - Called with the descriptions of the
+   *   expected and actual types, returning the error message for a mismatch
+   * @returns {boolean} - True if unification succeeded, false if failed
+   */
+  function expectSameType(expectedTypeId, actualTypeId, node, code, describe) {
+    const failure = unifyTypes(expectedTypeId, actualTypeId);
+    if (!failure) return true;
+
+    if (failure.infinite) {
+      return reportInfiniteType(failure.variable, failure.typeId, node);
+    }
+
+    const names = new Map();
+    const expectedName = describeType(expectedTypeId, names);
+    const actualName = describeType(actualTypeId, names);
+
+    const expectedLabel = originLabel(
+      expectedTypeId,
       node,
+      (description) =>
+        `expected ${expectedName} because of this ${description}`,
     );
-  } else if (!unify(leftType, rightType, node)) {
-    reportError(
-      `Type mismatch in binary operation: operands must have the same type`,
+    const actualLabel = originLabel(
+      actualTypeId,
       node,
+      (description) => `got ${actualName} from this ${description}`,
     );
+
+    // Both types may have come from the same place, which needs only one
+    const labels = [expectedLabel, actualLabel].filter(Boolean);
+    if (labels.length === 2 && labels[0].node === labels[1].node) {
+      labels.pop();
+    }
+
+    reportError(code, describe(expectedName, actualName), node, labels);
+    return false;
   }
 
-  return leftType;
-}
+  /**
+   * Unify two types, ensuring they are compatible
+   * This is the core of the Hindley-Milner type system
+   *
+   * @param {number} expectedTypeId - The type id the other has to match
+   * @param {number} actualTypeId - The type id to check against it
+   * @param {object} [node] - Node to report an error at if unification fails
+   * @returns {boolean} - True if unification succeeded, false if failed
+   */
+  const unify = (expectedTypeId, actualTypeId, node) =>
+    expectSameType(
+      expectedTypeId,
+      actualTypeId,
+      node,
+      "T001",
+      (expectedName, actualName) =>
+        `Type mismatch: cannot unify ${expectedName} with ${actualName}`,
+    );
 
-/**
- * Visit an arrow function
- *
- * @param {object} node - ArrowFunctionExpression node to visit
- * @returns {number} - The type id of the function
- */
-function visitArrowFunction(node) {
-  // Type check function body
-  const bodyType = visitNode(node.body);
+  /**
+   * Convert a type annotation from the parse tree into a type in the types
+   * database
+   *
+   * @param {object} annotation - A TypeAnnotation, ArrayTypeAnnotation, or
+   *   FunctionTypeAnnotation node
+   * @returns {number} - The type id of the annotated type
+   */
+  function annotationToType(annotation) {
+    const origin = { node: annotation, description: "annotation" };
+
+    switch (annotation.type) {
+      case "FunctionTypeAnnotation":
+        return createFunctionType(
+          annotation.paramTypes.map((param) =>
+            annotationToType(param.typeAnnotation),
+          ),
+          annotationToType(annotation.returnType),
+          origin,
+        );
+
+      case "ArrayTypeAnnotation":
+        return createArrayType(
+          annotationToType(annotation.elementType),
+          origin,
+        );
+
+      default: {
+        // A plain `Array` annotation doesn't say what the elements are
+        if (annotation.valueType === "Array") {
+          return createArrayType(freshTypeId(), origin);
+        }
+
+        const typeName = ANNOTATION_TYPES[annotation.valueType];
+        if (typeName === undefined) {
+          reportError(
+            "T011",
+            `Unknown type in annotation: ${annotation.valueType}`,
+            annotation,
+          );
+          return createErrorType();
+        }
+
+        return createConcreteType(typeName, origin);
+      }
+    }
+  }
 
-  // If there's a return type annotation, check it matches the body
-  if (node.returnType) {
-    // In a real implementation, process the return type annotation
-    // and unify it with bodyType
+  /**
+   * Visit and type-check a parse tree node and its children, recording the
+   * type of each expression
+   *
+   * @param {object} node - Parse tree node to visit
+   * @returns {number} - The type id of the node
+   */
+  function visitNode(node) {
+    const typeId = inferType(node);
+
+    if (!STATEMENT_TYPES.includes(node.type)) {
+      nodeTypes.set(node, typeId);
+    }
+
+    return typeId;
   }
 
-  // For each parameter, create a type
-  for (const param of node.params) {
-    param.typeId = freshTypeId();
+  /**
+   * Infer the type of a parse tree node, by visiting it according to its type
+   *
+   * @param {object} node - Parse tree node to visit
+   * @returns {number} - The type id of the node
+   */
+  function inferType(node) {
+    switch (node.type) {
+      case "ConstDeclaration":
+        return visitConstDeclaration(node);
+
+      case "ArrowFunctionExpression":
+        return visitArrowFunction(node);
+
+      case "Identifier":
+        return visitIdentifier(node);
+
+      case "ReturnStatement":
+        return visitReturnStatement(node);
+
+      case "BinaryExpression":
+        return visitBinaryExpression(node);
+
+      case "UnaryExpression":
+        return visitUnaryExpression(node);
+
+      case "LogicalExpression":
+        return visitLogicalExpression(node);
+
+      case "ConditionalExpression":
+        return visitConditionalExpression(node);
+
+      case "CallExpression":
+        return visitCallExpression(node);
+
+      case "ArrayLiteral":
+        return visitArrayLiteral(node);
+
+      case "BlockStatement":
+        return visitBlockStatement(node);
+
+      case "StringLiteral":
+        return createConcreteType("String", { node, description: "literal" });
 
-    // If there's a type annotation, use it
-    if (param.typeAnnotation) {
-      // In a real implementation, process the type annotation
-      // and unify it with param.typeId
+      case "NumericLiteral":
+        return createConcreteType("Number", { node, description: "literal" });
+
+      case "BooleanLiteral":
+        return createConcreteType("Boolean", { node, description: "literal" });
+
+      default:
+        reportError(
+          "T007",
+          `Unknown node type during type checking: ${node.type}`,
+          node,
+        );
+        return createErrorType();
     }
   }
 
-  // Create a function type - in a real implementation
-  // this would capture parameter and return types
-  const functionTypeId = freshTypeId();
-  return functionTypeId;
-}
+  /**
+   * Visit an identifier (variable reference)
+   *
+   * @param {object} node - Identifier node to visit
+   * @returns {number} - The type id of the identifier
+   */
+  function visitIdentifier(node) {
+    // Look up the variable in the scope, giving this use its own copy of any
+    // polymorphic type
+    if (scope.has(node.name)) {
+      return instantiate(scope.get(node.name));
+    }
 
-/**
- * Visit a function call expression
- *
- * @param {object} node - CallExpression node to visit
- * @returns {number} - The type id of the call result
- */
-function visitCallExpression(node) {
-  const calleeType = visitNode(node.callee);
+    // Built-in functions can be used without being declared
+    if (Object.hasOwn(builtinTypes, node.name)) {
+      return builtinTypes[node.name](node);
+    }
+
+    // If not found in scope, create a fresh type variable
+    return freshTypeId();
+  }
 
-  // Create a return type for the function
-  const returnType = freshTypeId();
+  /**
+   * Visit a binary expression (e.g., a + b)
+   *
+   * @param {object} node - BinaryExpression node to visit
+   * @returns {number} - The type id of the binary expression
+   */
+  function visitBinaryExpression(node) {
+    const leftType = visitNode(node.left);
+    const rightType = visitNode(node.right);
+
+    if (node.operator === "+") {
+      // Both operands must have the same type (two Numbers or two Strings)
+      const canUnify = expectSameType(
+        leftType,
+        rightType,
+        node,
+        "T002",
+        (leftName, rightName) =>
+          `Type mismatch in binary operation: cannot add ${leftName} to ${rightName}`,
+      );
+      if (!canUnify) {
+        return createErrorType();
+      }
 
-  // If we have arguments, process them and establish the connection
-  // between argument types and return type for polymorphic functions
-  if (node.arguments.length > 0) {
-    // Visit each argument to get its type
-    const argTypes = node.arguments.map((arg) => visitNode(arg));
+      return leftType;
+    } else if (ARITHMETIC_OPERATORS.includes(node.operator)) {
+      // Other arithmetic: both operands must be numbers
+      return expectNumberOperands(node, leftType, rightType);
+    } else if (EQUALITY_OPERATORS.includes(node.operator)) {
+      // Equality: two values of the same type can be compared
+      const canUnify = expectSameType(
+        leftType,
+        rightType,
+        node,
+        "T002",
+        (leftName, rightName) =>
+          `Type mismatch in comparison: cannot compare ${leftName} with ${rightName}`,
+      );
+      if (canUnify) {
+        expectNumberOrBoolean(
+          leftType,
+          node,
+          "T013",
+          (typeName) =>
+            `Cannot compare values of type ${typeName} with '${node.operator}': only Numbers and Booleans can be compared`,
+        );
+      }
 
-    // Store argument types on the node for use with polymorphic functions
-    node.argumentTypes = argTypes;
+      return createConcreteType("Boolean", { node, description: "comparison" });
+    } else if (ORDERING_OPERATORS.includes(node.operator)) {
+      // Ordering: only numbers can be compared
+      expectNumberOperands(node, leftType, rightType);
 
-    // For polymorphic functions, the return type is determined by the argument types
-    // Here we're establishing that relationship in our type system
-    if (node.callee.type === "Identifier" && scope[node.callee.name]) {
-      // For known functions in scope, the return type should match the body's type
-      // For simple polymorphic functions like (x) => x + x, the return type matches the input type
-      if (node.arguments.length === 1) {
-        unify(returnType, argTypes[0], node);
+      return createConcreteType("Boolean", { node, description: "comparison" });
+    }
+
+    // Default case: ensure both operands have the same type
+    expectSameType(
+      leftType,
+      rightType,
+      node,
+      "T002",
+      (leftName, rightName) =>
+        `Type mismatch in binary operation: operands must have the same type, got ${leftName} and ${rightName}`,
+    );
+
+    return leftType;
+  }
+
+  /**
+   * Visit a unary expression: -x, whose operand must be a number, or !x,
+   * whose operand must be a boolean
+   *
+   * @param {object} node - UnaryExpression node to visit
+   * @returns {number} - The type id of the result
+   */
+  function visitUnaryExpression(node) {
+    const argumentType = visitNode(node.argument);
+    const [typeName, code] =
+      node.operator === "!" ? ["Boolean", "T012"] : ["Number", "T003"];
+    const operandType = createConcreteType(typeName, {
+      node,
+      description: `\`${node.operator}\``,
+    });
+
+    expectSameType(
+      operandType,
+      argumentType,
+      node.argument,
+      code,
+      (operandName, argumentName) =>
+        `Type mismatch: expected ${operandName} for operand of '${node.operator}' operator, got ${argumentName}`,
+    );
+
+    return operandType;
+  }
+
+  /**
+   * Visit a logical expression (a && b or a || b), whose operands must both
+   * be booleans
+   *
+   * @param {object} node - LogicalExpression node to visit
+   * @returns {number} - The type id of the result
+   */
+  function visitLogicalExpression(node) {
+    const leftType = visitNode(node.left);
+    const rightType = visitNode(node.right);
+    const booleanType = createConcreteType("Boolean", {
+      node,
+      description: `\`${node.operator}\``,
+    });
+
+    expectSameType(
+      booleanType,
+      leftType,
+      node.left,
+      "T012",
+      (booleanName, leftName) =>
+        `Type mismatch: expected Boolean for left operand of '${node.operator}' operator, got ${leftName}`,
+    );
+    expectSameType(
+      booleanType,
+      rightType,
+      node.right,
+      "T012",
+      (booleanName, rightName) =>
+        `Type mismatch: expected Boolean for right operand of '${node.operator}' operator, got ${rightName}`,
+    );
+
+    return booleanType;
+  }
+
+  /**
+   * Check that both operands of an arithmetic or ordering operator are
+   * numbers, reporting each one that isn't
+   *
+   * @param {object} node - BinaryExpression node
+   * @param {number} leftType - Type id of the left operand
+   * @param {number} rightType - Type id of the right operand
+   * @returns {number} - The type id of Number
+   */
+  function expectNumberOperands(node, leftType, rightType) {
+    const numberType = createConcreteType("Number", {
+      node,
+      description: `\`${node.operator}\``,
+    });
+
+    expectSameType(
+      numberType,
+      leftType,
+      node.left,
+      "T003",
+      (numberName, leftName) =>
+        `Type mismatch: expected Number for left operand of '${node.operator}' operator, got ${leftName}`,
+    );
+    expectSameType(
+      numberType,
+      rightType,
+      node.right,
+      "T003",
+      (numberName, rightName) =>
+        `Type mismatch: expected Number for right operand of '${node.operator}' operator, got ${rightName}`,
+    );
+
+    return numberType;
+  }
+
+  /**
+   * Visit an arrow function
+   *
+   * @param {object} node - ArrowFunctionExpression node to visit
+   * @returns {number} - The type id of the function
+   */
+  function visitArrowFunction(node) {
+    // Parameters and local constants are only in scope inside the function
+    const outerScope = scope;
+    scope = new Map(outerScope);
+
+    // For each parameter, create a type variable, which the body's uses of the
+    // parameter will narrow down
+    const paramTypes = node.params.map((param) => {
+      const paramType = freshTypeId();
+      scope.set(param.name, monomorphic(paramType));
+      nodeTypes.set(param, paramType);
+
+      // If there's a type annotation, the parameter has that type. Any
+      // mismatch is reported at the annotation.
+      if (param.typeAnnotation) {
+        unify(
+          annotationToType(param.typeAnnotation),
+          paramType,
+          param.typeAnnotation,
+        );
       }
+
+      return paramType;
+    });
+
+    // Type check function body. A block body's type is the type it returns,
+    // and an expression body's type is the expression's.
+    const bodyType = visitNode(node.body);
+
+    // If there's a return type annotation, check it matches the body
+    if (node.returnType) {
+      unify(annotationToType(node.returnType), bodyType, node.returnType);
     }
+
+    scope = outerScope;
+
+    return createFunctionType(paramTypes, bodyType, {
+      node,
+      description: "function",
+    });
   }
 
-  return returnType;
-}
+  /**
+   * Visit a function call expression
+   *
+   * @param {object} node - CallExpression node to visit
+   * @returns {number} - The type id of the call result
+   */
+  function visitCallExpression(node) {
+    const calleeType = visitNode(node.callee);
+    const argTypes = node.arguments.map((arg) => visitNode(arg));
+    const calleeEntry = db[resolveSymlinksAndCompress(calleeType)];
 
-/**
- * Visit a const declaration
- *
- * @param {object} node - ConstDeclaration node to visit
- * @returns {number} - The type id of the declared variable
- */
-function visitConstDeclaration(node) {
-  const initType = visitNode(node.init);
+    // Only functions can be called
+    if (calleeEntry && calleeEntry.concrete !== undefined) {
+      reportError(
+        "T009",
+        `Type mismatch: cannot call a value of type ${calleeEntry.concrete}`,
+        node.callee,
+      );
+      return createErrorType();
+    }
 
-  // Assign type to the declared identifier
-  node.id.typeId = initType;
+    // If we already know the callee is a function, check the arguments against
+    // its parameters one by one, so that errors point at the argument
+    if (calleeEntry && calleeEntry.function) {
+      const { params, returns } = calleeEntry.function;
+
+      if (params.length !== argTypes.length) {
+        reportError(
+          "T008",
+          `Wrong number of arguments: expected ${params.length}, got ${argTypes.length}`,
+          node,
+        );
+        return returns;
+      }
 
-  // Add the variable to scope
-  scope[node.id.name] = initType;
+      params.forEach((paramType, i) => {
+        unify(paramType, argTypes[i], node.arguments[i]);
+      });
+      return returns;
+    }
+
+    // Otherwise the callee is a type variable (such as a parameter that's
+    // called), so now we know it's a function that takes these arguments
+    const returnType = freshTypeId();
+    const callType = createFunctionType(argTypes, returnType, {
+      node,
+      description: "call",
+    });
+    unify(calleeType, callType, node);
 
-  // If there's a type annotation, check it matches the initialization
-  if (node.typeAnnotation) {
-    // In a real implementation, process the type annotation
-    // and unify it with initType
+    return returnType;
   }
 
-  return initType;
-}
+  /**
+   * Visit a const declaration
+   *
+   * @param {object} node - ConstDeclaration node to visit
+   * @returns {number} - The type id of the declared variable
+   */
+  function visitConstDeclaration(node) {
+    const initType = visitNode(node.init);
+
+    // If there's a type annotation, check it matches the initialization. This
+    // comes before generalizing, since the annotation may pin down types that
+    // would otherwise be polymorphic.
+    if (node.typeAnnotation) {
+      unify(
+        annotationToType(node.typeAnnotation),
+        initType,
+        node.typeAnnotation,
+      );
+    }
 
-/**
- * Visit a block statement
- *
- * @param {object} node - BlockStatement node to visit
- * @returns {number} - The type id of the last statement, or void
- */
-function visitBlockStatement(node) {
-  let lastType = createConcreteType("Void");
+    // The declared identifier has the same type as its initializer
+    nodeTypes.set(node.id, initType);
 
-  // Visit each statement in the block
-  for (const statement of node.body) {
-    lastType = visitNode(statement);
+    // Add the variable to scope, generalizing its type so that each use can
+    // choose different types for its type variables
+    scope.set(node.id.name, generalize(initType));
+
+    return initType;
   }
 
-  return lastType;
-}
+  /**
+   * Visit a group of const declarations that refer to each other, such as a
+   * recursive function or mutually recursive functions
+   *
+   * Each name is in scope from the start, so the declarations can refer to
+   * each other, but it's monomorphic until the whole group is checked: every
+   * use within the group, recursive ones included, has the same type. Only
+   * then are the names' types generalized.
+   *
+   * @param {Array} declarations - The ConstDeclaration nodes in the group
+   */
+  function visitRecursiveGroup(declarations) {
+    const typeIds = declarations.map((declaration) => {
+      const typeId = freshTypeId();
+      scope.set(declaration.id.name, monomorphic(typeId));
+
+      // An annotation gives the type to recursive uses, too
+      if (declaration.typeAnnotation) {
+        unify(
+          annotationToType(declaration.typeAnnotation),
+          typeId,
+          declaration.typeAnnotation,
+        );
+      }
 
-/**
- * Visit a return statement
- *
- * @param {object} node - ReturnStatement node to visit
- * @returns {number} - The type id of the returned expression
- */
-function visitReturnStatement(node) {
-  if (node.argument) {
-    return visitNode(node.argument);
+      return typeId;
+    });
+
+    declarations.forEach((declaration, i) => {
+      const initType = visitNode(declaration.init);
+      unify(typeIds[i], initType, declaration.id);
+      nodeTypes.set(declaration.id, typeIds[i]);
+    });
+
+    // Take the group's names out of scope before generalizing, since their
+    // type variables would otherwise count as used by the scope
+    for (const declaration of declarations) {
+      scope.delete(declaration.id.name);
+    }
+    const schemes = typeIds.map((typeId) => generalize(typeId));
+    declarations.forEach((declaration, i) => {
+      scope.set(declaration.id.name, schemes[i]);
+    });
   }
 
-  // Return void if no argument
-  return createConcreteType("Void");
-}
+  /**
+   * Visit a block statement
+   *
+   * @param {object} node - BlockStatement node to visit
+   * @returns {number} - The type id of the value the block returns, or void
+   */
+  function visitBlockStatement(node) {
+    let returnType = null;
+
+    // Visit each statement in the block. Only the first return statement
+    // matters, since nothing after it runs.
+    for (const statement of node.body) {
+      const statementType = visitNode(statement);
+      if (statement.type === "ReturnStatement" && returnType === null) {
+        returnType = statementType;
+      }
+    }
 
-/**
- * Visit a conditional (ternary) expression
- *
- * @param {object} node - ConditionalExpression node to visit
- * @returns {number} - The type id of the conditional expression
- */
-function visitConditionalExpression(node) {
-  const testType = visitNode(node.test);
-  const consequentType = visitNode(node.consequent);
-  const alternateType = visitNode(node.alternate);
+    if (returnType === null) {
+      return createConcreteType("Void", {
+        node,
+        description: "function body, which has no return statement",
+      });
+    }
 
-  // Test must be a boolean
-  const booleanType = createConcreteType("Boolean");
-  const testConcrete = getConcreteTypeName(testType);
+    return returnType;
+  }
 
-  // Check if test is Boolean, directly compare concrete types
-  if (testConcrete && testConcrete !== "Boolean") {
-    reportError(
-      `Type mismatch in ternary: condition must be Boolean, got ${testConcrete}`,
-      node.test,
-    );
-  } else {
-    // Try to unify if we don't have concrete type info
-    unify(testType, booleanType, node.test);
+  /**
+   * Visit a return statement
+   *
+   * @param {object} node - ReturnStatement node to visit
+   * @returns {number} - The type id of the returned expression
+   */
+  function visitReturnStatement(node) {
+    if (node.argument) {
+      return visitNode(node.argument);
+    }
+
+    // Return void if no argument
+    return createConcreteType("Void", { node, description: "return" });
   }
 
-  // Get concrete types for branches
-  const consequentConcrete = getConcreteTypeName(consequentType);
-  const alternateConcrete = getConcreteTypeName(alternateType);
+  /**
+   * Visit a conditional (ternary) expression
+   *
+   * @param {object} node - ConditionalExpression node to visit
+   * @returns {number} - The type id of the conditional expression
+   */
+  function visitConditionalExpression(node) {
+    const testType = visitNode(node.test);
+    const consequentType = visitNode(node.consequent);
+    const alternateType = visitNode(node.alternate);
+
+    // Test must be a boolean
+    const booleanType = createConcreteType("Boolean", {
+      node: node.test,
+      description: "condition",
+    });
+    expectSameType(
+      booleanType,
+      testType,
+      node.test,
+      "T005",
+      (booleanName, testName) =>
+        `Type mismatch in ternary: condition must be Boolean, got ${testName}`,
+    );
 
-  // Check if branches have the same type, directly compare concrete types
-  if (
-    consequentConcrete &&
-    alternateConcrete &&
-    consequentConcrete !== alternateConcrete
-  ) {
-    reportError(
-      `Type mismatch in ternary: branches must have the same type, got ${consequentConcrete} and ${alternateConcrete}`,
+    // Both branches must have the same type
+    const branchesMatch = expectSameType(
+      consequentType,
+      alternateType,
       node,
+      "T004",
+      (consequentName, alternateName) =>
+        `Type mismatch in ternary: branches must have the same type, got ${consequentName} and ${alternateName}`,
     );
-  } else {
-    // Try to unify if we don't have concrete type info for both
-    unify(consequentType, alternateType, node);
+
+    // The type of the expression is the type of either branch
+    return branchesMatch ? consequentType : createErrorType();
   }
 
-  // The type of the expression is the type of either branch
-  return consequentType;
-}
+  /**
+   * Visit an array literal
+   *
+   * @param {object} node - ArrayLiteral node to visit
+   * @returns {number} - The type id of the array
+   */
+  function visitArrayLiteral(node) {
+    // If the array is empty, we can't infer the element type yet, so it's a
+    // type variable until the array is used
+    const origin = { node, description: "array literal" };
+    if (node.elements.length === 0) {
+      return createArrayType(freshTypeId(), origin);
+    }
 
-/**
- * Visit an array literal
- *
- * @param {object} node - ArrayLiteral node to visit
- * @returns {number} - The type id of the array
- */
-function visitArrayLiteral(node) {
-  // If the array is empty, we can't infer the element type
-  if (node.elements.length === 0) {
-    // Create a generic array type
-    return createConcreteType("Array");
-  }
-
-  // Visit each element and ensure they all have the same type
-  const firstElementType = visitNode(node.elements[0]);
-  const firstElementConcrete = getConcreteTypeName(firstElementType);
-
-  for (let i = 1; i < node.elements.length; i++) {
-    const elementType = visitNode(node.elements[i]);
-    const elementConcrete = getConcreteTypeName(elementType);
-
-    // If we have concrete types and they're different, report error
-    if (
-      firstElementConcrete &&
-      elementConcrete &&
-      firstElementConcrete !== elementConcrete
-    ) {
-      reportError(
-        `Type mismatch in array literal: array elements must have consistent types, found ${firstElementConcrete} and ${elementConcrete}`,
+    // Visit each element and ensure they all have the same type
+    const firstElementType = visitNode(node.elements[0]);
+    let elementsMatch = true;
+
+    for (let i = 1; i < node.elements.length; i++) {
+      const elementType = visitNode(node.elements[i]);
+
+      const matches = expectSameType(
+        firstElementType,
+        elementType,
         node.elements[i],
+        "T006",
+        (firstName, elementName) =>
+          `Type mismatch in array literal: array elements must have consistent types, found ${firstName} and ${elementName}`,
       );
-      continue;
+      if (!matches) elementsMatch = false;
     }
 
-    // Otherwise try to unify the types
-    if (!unify(firstElementType, elementType, node.elements[i])) {
-      reportError(
-        `Type mismatch in array literal: array elements must have consistent types`,
-        node.elements[i],
-      );
+    if (!elementsMatch) {
+      return createErrorType();
     }
+
+    return createArrayType(firstElementType, origin);
   }
 
-  // Create an array type (in a real implementation, this would be Array<T>)
-  return createConcreteType("Array");
+  /**
+   * Type-check more statements, in the scope of those checked before
+   *
+   * @param {Array} statements - The statements to check, already name-checked
+   * @returns {object} - Any `errors`; `types`, a Map from each expression node
+   *   (and each declared name's identifier) to its resolved type; and
+   *   `environment`, an object mapping each top-level name to its resolved type
+   */
+  function check(statements) {
+    errors = [];
+    nodeTypes = new Map();
+    numberOrBooleanChecks = [];
+
+    // Visit each statement in the program, in an order where names are
+    // checked before they're used
+    for (const group of dependencyGroups(statements)) {
+      if (group.recursive) {
+        visitRecursiveGroup(group.statements);
+      } else {
+        visitNode(group.statements[0]);
+      }
+    }
+
+    // Whatever the remaining checks' types weren't found to be, they can
+    // now be taken to be Numbers
+    settleNumberOrBooleanChecks(() => true);
+
+    // Only now is everything known about each type, so resolve them all
+    const types = new Map();
+    for (const [node, typeId] of nodeTypes) {
+      types.set(node, resolveType(typeId));
+    }
+
+    // Object.fromEntries keeps a name like __proto__ as an ordinary key
+    const environment = Object.fromEntries(
+      [...scope].map(([name, scheme]) => [name, resolveType(scheme.typeId)]),
+    );
+
+    return { errors, types, environment };
+  }
+
+  /**
+   * Copy this checker, so that statements can be checked without affecting
+   * it (for example, to throw them away if they have errors)
+   *
+   * @returns {object} - A new type checker with the same names in scope
+   */
+  function fork() {
+    return createTypeChecker({ db, scope, origins });
+  }
+
+  return { check, fork };
 }
 
 /**
  * Perform type checking on a parse tree
  *
+ * The parse tree must have been through nameCheck first (see naming.js),
+ * which links each identifier to its declaration: that's how the checker
+ * finds which declarations refer to which (see dependencyGroups).
+ *
  * @param {object|Array} statements - The parse tree to analyze (may be an array of statements)
- * @returns {object} - The analyzed parse tree with type information and any errors
+ * @returns {object} - Any `errors`, the `types` of expression nodes, and the
+ *   `environment` of top-level names (see the checker's `check` method)
  */
 function typeCheck(statements) {
-  // Reset globals
-  db = [];
-  errors = [];
-  nextTypeId = 0;
-  scope = {}; // Reset the scope
-
-  // Visit each statement in the program
-  for (const statement of statements) {
-    visitNode(statement);
-  }
-
-  return { errors };
+  return createTypeChecker().check(statements);
 }
 
 module.exports = {
   typeCheck,
-  unify,
+  createTypeChecker,
+  formatType,
 };
@@ -4,14 +4,24 @@
  * This generates a WebAssembly binary from the parsed and type-checked parse tree.
  * It supports basic types (numbers as f64, strings, booleans) and conditionals.
  * It will throw errors for unsupported features like polymorphic arrays or functions.
+ *
+ * Everything the generator keeps track of while building a module (the
+ * string table, the functions, the current function's locals) lives inside
+ * one call to generateWasm, so each call builds its module independently.
  */
 
+const { BUILTINS } = require("./builtins");
+
+// The built-in functions, in the order the module imports them
+const BUILTIN_NAMES = Object.keys(BUILTINS);
+
 // WebAssembly binary encoding helper functions
 const encoder = new TextEncoder();
 
 // WebAssembly sections
 const SECTION = {
   TYPE: 1,
+  IMPORT: 2,
   FUNCTION: 3,
   MEMORY: 5,
   EXPORT: 7,
@@ -42,11 +52,16 @@ const OP = {
   LOCAL_SET: 0x21,
   LOCAL_TEE: 0x22,
   I32_CONST: 0x41,
+  I32_EQZ: 0x45,
+  I32_OR: 0x72,
   F64_CONST: 0x44,
   F64_ADD: 0xa0,
   F64_SUB: 0xa1,
   F64_MUL: 0xa2,
   F64_DIV: 0xa3,
+  F64_COPYSIGN: 0xa6,
+  F64_ABS: 0x99,
+  F64_NEG: 0x9a,
   F64_EQ: 0x61,
   F64_NE: 0x62,
   F64_LT: 0x63,
@@ -56,15 +71,15 @@ const OP = {
   F64_CONVERT_I32_U: 0xb8,
 };
 
-// Keep track of string literals for data section
-let stringLiterals = [];
-let stringTable = {};
-let nextStringPtr = 0;
-let functionTable = {};
-let functionIndices = {};
-let localVars = {};
-let currentFunctionLocals = [];
-let errors = [];
+// The instruction for each comparison operator
+const COMPARISON_OPS = {
+  "==": OP.F64_EQ,
+  "!=": OP.F64_NE,
+  "<": OP.F64_LT,
+  "<=": OP.F64_LE,
+  ">": OP.F64_GT,
+  ">=": OP.F64_GE,
+};
 
 // Memory constants
 const MEMORY_PAGE_SIZE = 1; // Initial memory size (64KB pages)
@@ -141,608 +156,843 @@ function concatBytes(arrays) {
   return result;
 }
 
-/**
- * Report a code generation error
- *
- * @param {string} message - Error message
- * @param {object} node - parse tree node where the error occurred
- */
-function reportError(message, node) {
-  errors.push({ message, node });
-}
-
 /**
  * Generate WebAssembly code for a parse tree
  *
  * @param {Array} node - The typed parse tree node
+ * @param {Object} options - `entryPoint`: name of the function to export
+ *   (defaults to "main")
  * @returns {Object} - The generated WebAssembly module and any errors
  */
-function generateWasm(node) {
-  // Reset module state
-  stringLiterals = [];
-  stringTable = {};
-  nextStringPtr = 0;
-  functionTable = {};
-  functionIndices = {};
-  localVars = {};
-  errors = [];
-
-  // Build the module
-  const wasmBinary = generateModule(node);
-
-  return {
-    wasm: wasmBinary,
-    errors,
-  };
-}
-
-/**
- * Generate the WebAssembly module binary
- *
- * @param {Array} node - The typed parse tree node
- * @returns {Uint8Array} - WebAssembly binary module
- */
-function generateModule(node) {
-  // First pass: collect function declarations and string literals
-  collectFunctions(node);
-  collectStringLiterals(node);
+function generateWasm(node, options = {}) {
+  // Keep track of string literals for data section
+  const stringLiterals = [];
+  const stringTable = new Map();
+  let nextStringPtr = 0;
+  const functionTable = new Map();
+  const functionIndices = new Map();
+  // The name of each top-level function, by its declaring Identifier, which
+  // naming links each use of the name to
+  const declaredFunctions = new Map();
+  let localVars = new Map();
+  let currentFunctionLocals = [];
+  const entryPoint = options.entryPoint || "main";
+  const errors = [];
+
+  /**
+   * Report a code generation error, pointing at the node that caused it
+   *
+   * @param {string} code - Stable error code (see codes.js)
+   * @param {string} message - Error message
+   * @param {object} node - parse tree node where the error occurred
+   */
+  function reportError(code, message, node) {
+    errors.push({ code, message, node, span: node && node.span });
+  }
 
-  // Initialize sections
-  const sections = [];
+  /**
+   * Generate the WebAssembly module binary
+   *
+   * @param {Array} node - The typed parse tree node
+   * @returns {Uint8Array} - WebAssembly binary module
+   */
+  function generateModule(node) {
+    // First pass: collect function declarations and string literals
+    collectFunctions(node);
+    collectStringLiterals(node);
+
+    // Initialize sections
+    const sections = [];
+
+    // Magic number and version
+    sections.push(new Uint8Array([0x00, 0x61, 0x73, 0x6d])); // "\0asm"
+    sections.push(new Uint8Array([0x01, 0x00, 0x00, 0x00])); // Version 1
+
+    // Build type section first (imports need to reference types)
+    const typeSection = buildTypeSection();
+    sections.push(typeSection);
+
+    // Then build import section (which references the type section)
+    const importSection = buildImportSection();
+    sections.push(importSection);
+
+    // Build function section
+    const functionSection = buildFunctionSection();
+    sections.push(functionSection);
+
+    // Build memory section
+    const memorySection = buildMemorySection();
+    sections.push(memorySection);
+
+    // Build export section
+    const exportSection = buildExportSection();
+    sections.push(exportSection);
+
+    // Build code section
+    const codeSection = buildCodeSection();
+    sections.push(codeSection);
+
+    // Build data section for string literals
+    if (stringLiterals.length > 0) {
+      const dataSection = buildDataSection();
+      sections.push(dataSection);
+    }
 
-  // Magic number and version
-  sections.push(new Uint8Array([0x00, 0x61, 0x73, 0x6d])); // "\0asm"
-  sections.push(new Uint8Array([0x01, 0x00, 0x00, 0x00])); // Version 1
+    // Concatenate all sections
+    return concatBytes(sections);
+  }
 
-  // Build type section first (imports need to reference types)
-  const typeSection = buildTypeSection();
-  sections.push(typeSection);
+  /**
+   * Build the WebAssembly import section
+   */
+  function buildImportSection() {
+    // Import each built-in function (see builtins.js) from the host
+    const imports = BUILTIN_NAMES.map((name) => {
+      const { module, field } = BUILTINS[name];
+      const moduleName = encoder.encode(module);
+      const fieldName = encoder.encode(field);
 
-  // Then build import section (which references the type section)
-  const importSection = buildImportSection();
-  sections.push(importSection);
+      return concatBytes([
+        encodeULEB128(moduleName.length),
+        moduleName,
+        encodeULEB128(fieldName.length),
+        fieldName,
+        new Uint8Array([0x00]), // Import kind: function
+        encodeULEB128(0), // Type index 0 (f64) -> void
+      ]);
+    });
 
-  // Build function section
-  const functionSection = buildFunctionSection();
-  sections.push(functionSection);
+    const content = concatBytes([encodeULEB128(imports.length), ...imports]);
 
-  // Build memory section
-  const memorySection = buildMemorySection();
-  sections.push(memorySection);
+    return concatBytes([
+      new Uint8Array([SECTION.IMPORT]),
+      encodeULEB128(content.length),
+      content,
+    ]);
+  }
 
-  // Build export section
-  const exportSection = buildExportSection();
-  sections.push(exportSection);
+  /**
+   * Build the WebAssembly type section
+   */
+  function buildTypeSection() {
+    const entries = [];
 
-  // Build code section
-  const codeSection = buildCodeSection();
-  sections.push(codeSection);
+    // Type for the built-in functions (f64) -> void
+    entries.push(
+      concatBytes([
+        new Uint8Array([TYPES.FUNC]),
+        encodeULEB128(1), // 1 parameter
+        new Uint8Array([TYPES.F64]),
+        encodeULEB128(0), // 0 results
+      ]),
+    );
 
-  // Build data section for string literals
-  if (stringLiterals.length > 0) {
-    const dataSection = buildDataSection();
-    sections.push(dataSection);
-  }
+    // Types for user functions
+    const functionNames = [...functionTable.keys()];
 
-  // Concatenate all sections
-  return concatBytes(sections);
-}
+    for (let i = 0; i < functionNames.length; i++) {
+      const func = functionTable.get(functionNames[i]);
 
-/**
- * Build the WebAssembly import section
- */
-function buildImportSection() {
-  // Import the JavaScript console.log function
-  const moduleName = encoder.encode("console");
-  const fieldName = encoder.encode("log");
-
-  const content = concatBytes([
-    encodeULEB128(1), // Number of imports
-    encodeULEB128(moduleName.length),
-    moduleName,
-    encodeULEB128(fieldName.length),
-    fieldName,
-    new Uint8Array([0x00]), // Import kind: function
-    encodeULEB128(0), // Type index 0 (i32) -> void
-  ]);
-
-  return concatBytes([
-    new Uint8Array([0x02]), // Import section code
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+      // Build function type (all params are f64, result is f64)
+      const params = new Array(func.params.length).fill(TYPES.F64);
 
-/**
- * Build the WebAssembly type section
- */
-function buildTypeSection() {
-  const entries = [];
+      entries.push(
+        concatBytes([
+          new Uint8Array([TYPES.FUNC]),
+          encodeULEB128(params.length),
+          ...params.map((type) => new Uint8Array([type])),
+          encodeULEB128(1), // 1 result
+          new Uint8Array([TYPES.F64]),
+        ]),
+      );
+    }
 
-  // Type for console.log (i32) -> void
-  entries.push(
-    concatBytes([
-      new Uint8Array([TYPES.FUNC]),
-      encodeULEB128(1), // 1 parameter
-      new Uint8Array([TYPES.I32]),
-      encodeULEB128(0), // 0 results
-    ]),
-  );
+    const content = concatBytes([encodeULEB128(entries.length), ...entries]);
 
-  // Types for user functions
-  const functionNames = Object.keys(functionTable);
+    return concatBytes([
+      new Uint8Array([SECTION.TYPE]),
+      encodeULEB128(content.length),
+      content,
+    ]);
+  }
 
-  for (let i = 0; i < functionNames.length; i++) {
-    const func = functionTable[functionNames[i]];
+  /**
+   * Build the WebAssembly function section
+   */
+  function buildFunctionSection() {
+    const functionNames = [...functionTable.keys()];
+    const functionTypeIndices = [];
+
+    // The imported built-in functions come first, then user functions
+    for (let i = 0; i < functionNames.length; i++) {
+      functionIndices.set(functionNames[i], BUILTIN_NAMES.length + i);
+      functionTypeIndices.push(encodeULEB128(i + 1)); // +1 because the built-ins' type is index 0
+    }
 
-    // Build function type (all params are f64, result is f64)
-    const params = new Array(func.params.length).fill(TYPES.F64);
+    const content = concatBytes([
+      encodeULEB128(functionNames.length),
+      ...functionTypeIndices,
+    ]);
 
-    entries.push(
-      concatBytes([
-        new Uint8Array([TYPES.FUNC]),
-        encodeULEB128(params.length),
-        ...params.map((type) => new Uint8Array([type])),
-        encodeULEB128(1), // 1 result
-        new Uint8Array([TYPES.F64]),
-      ]),
-    );
+    return concatBytes([
+      new Uint8Array([SECTION.FUNCTION]),
+      encodeULEB128(content.length),
+      content,
+    ]);
   }
 
-  const content = concatBytes([encodeULEB128(entries.length), ...entries]);
-
-  return concatBytes([
-    new Uint8Array([SECTION.TYPE]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+  /**
+   * Build the WebAssembly memory section
+   */
+  function buildMemorySection() {
+    const content = concatBytes([
+      encodeULEB128(1), // 1 memory definition
+      new Uint8Array([0x00]), // No maximum (flags = 0)
+      encodeULEB128(MEMORY_PAGE_SIZE),
+    ]);
 
-/**
- * Build the WebAssembly function section
- */
-function buildFunctionSection() {
-  const functionNames = Object.keys(functionTable);
-  const functionTypeIndices = [];
-
-  // Console.log is index 0, then user functions
-  for (let i = 0; i < functionNames.length; i++) {
-    functionIndices[functionNames[i]] = i + 1; // +1 because console.log is index 0
-    functionTypeIndices.push(encodeULEB128(i + 1)); // +1 because console.log type is index 0
-  }
-
-  const content = concatBytes([
-    encodeULEB128(functionNames.length),
-    ...functionTypeIndices,
-  ]);
-
-  return concatBytes([
-    new Uint8Array([SECTION.FUNCTION]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+    return concatBytes([
+      new Uint8Array([SECTION.MEMORY]),
+      encodeULEB128(content.length),
+      content,
+    ]);
+  }
 
-/**
- * Build the WebAssembly memory section
- */
-function buildMemorySection() {
-  const content = concatBytes([
-    encodeULEB128(1), // 1 memory definition
-    new Uint8Array([0x00]), // No maximum (flags = 0)
-    encodeULEB128(MEMORY_PAGE_SIZE),
-  ]);
-
-  return concatBytes([
-    new Uint8Array([SECTION.MEMORY]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+  /**
+   * Build the WebAssembly export section
+   */
+  function buildExportSection() {
+    const exports = [];
 
-/**
- * Build the WebAssembly export section
- */
-function buildExportSection() {
-  const exports = [];
-
-  // Export memory
-  const memoryName = encoder.encode("memory");
-  exports.push(
-    concatBytes([
-      encodeULEB128(memoryName.length),
-      memoryName,
-      new Uint8Array([0x02]), // Export kind: memory
-      encodeULEB128(0), // Memory index
-    ]),
-  );
-
-  // Export main function if it exists
-  if (functionIndices.main !== undefined) {
-    const mainName = encoder.encode("main");
+    // Export memory
+    const memoryName = encoder.encode("memory");
     exports.push(
       concatBytes([
-        encodeULEB128(mainName.length),
-        mainName,
-        new Uint8Array([0x00]), // Export kind: function
-        encodeULEB128(functionIndices.main),
+        encodeULEB128(memoryName.length),
+        memoryName,
+        new Uint8Array([0x02]), // Export kind: memory
+        encodeULEB128(0), // Memory index
       ]),
     );
-  }
 
-  const content = concatBytes([encodeULEB128(exports.length), ...exports]);
+    // Export the entry point (usually main) if it exists
+    if (functionIndices.has(entryPoint)) {
+      const entryName = encoder.encode(entryPoint);
+      exports.push(
+        concatBytes([
+          encodeULEB128(entryName.length),
+          entryName,
+          new Uint8Array([0x00]), // Export kind: function
+          encodeULEB128(functionIndices.get(entryPoint)),
+        ]),
+      );
+    }
 
-  return concatBytes([
-    new Uint8Array([SECTION.EXPORT]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+    const content = concatBytes([encodeULEB128(exports.length), ...exports]);
 
-/**
- * Build the WebAssembly code section
- */
-function buildCodeSection() {
-  const functionBodies = [];
-  const functionNames = Object.keys(functionTable);
-
-  for (let i = 0; i < functionNames.length; i++) {
-    const funcBody = generateFunctionBody(
-      functionNames[i],
-      functionTable[functionNames[i]],
-    );
-    functionBodies.push(funcBody);
+    return concatBytes([
+      new Uint8Array([SECTION.EXPORT]),
+      encodeULEB128(content.length),
+      content,
+    ]);
   }
 
-  const content = concatBytes([
-    encodeULEB128(functionBodies.length),
-    ...functionBodies,
-  ]);
+  /**
+   * Build the WebAssembly code section
+   */
+  function buildCodeSection() {
+    const functionBodies = [];
+    const functionNames = [...functionTable.keys()];
+
+    for (let i = 0; i < functionNames.length; i++) {
+      const funcBody = generateFunctionBody(
+        functionNames[i],
+        functionTable.get(functionNames[i]),
+      );
+      functionBodies.push(funcBody);
+    }
+
+    const content = concatBytes([
+      encodeULEB128(functionBodies.length),
+      ...functionBodies,
+    ]);
 
-  return concatBytes([
-    new Uint8Array([SECTION.CODE]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+    return concatBytes([
+      new Uint8Array([SECTION.CODE]),
+      encodeULEB128(content.length),
+      content,
+    ]);
+  }
 
-/**
- * Build the WebAssembly data section for string literals
- */
-function buildDataSection() {
-  const dataEntries = [];
-
-  for (const { value, ptr } of stringLiterals) {
-    const bytes = [];
-
-    // Add length prefix (4 bytes)
-    const length = value.length;
-    bytes.push(
-      ...[
-        length & 0xff,
-        (length >> 8) & 0xff,
-        (length >> 16) & 0xff,
-        (length >> 24) & 0xff,
-      ],
-    );
+  /**
+   * Build the WebAssembly data section for string literals
+   */
+  function buildDataSection() {
+    const dataEntries = [];
+
+    for (const { value, ptr } of stringLiterals) {
+      const bytes = [];
+
+      // Add length prefix (4 bytes)
+      const length = value.length;
+      bytes.push(
+        ...[
+          length & 0xff,
+          (length >> 8) & 0xff,
+          (length >> 16) & 0xff,
+          (length >> 24) & 0xff,
+        ],
+      );
+
+      // Add the string bytes
+      for (let i = 0; i < value.length; i++) {
+        bytes.push(value.charCodeAt(i));
+      }
 
-    // Add the string bytes
-    for (let i = 0; i < value.length; i++) {
-      bytes.push(value.charCodeAt(i));
+      const dataBytes = new Uint8Array(bytes);
+
+      dataEntries.push(
+        concatBytes([
+          new Uint8Array([0x00]), // Memory index 0
+          new Uint8Array([OP.I32_CONST]),
+          encodeSLEB128(ptr),
+          new Uint8Array([OP.END]),
+          encodeULEB128(dataBytes.length),
+          dataBytes,
+        ]),
+      );
     }
 
-    const dataBytes = new Uint8Array(bytes);
+    const content = concatBytes([
+      encodeULEB128(dataEntries.length),
+      ...dataEntries,
+    ]);
 
-    dataEntries.push(
-      concatBytes([
-        new Uint8Array([0x00]), // Memory index 0
-        new Uint8Array([OP.I32_CONST]),
-        encodeSLEB128(ptr),
-        new Uint8Array([OP.END]),
-        encodeULEB128(dataBytes.length),
-        dataBytes,
-      ]),
-    );
+    return concatBytes([
+      new Uint8Array([SECTION.DATA]),
+      encodeULEB128(content.length),
+      content,
+    ]);
   }
 
-  const content = concatBytes([
-    encodeULEB128(dataEntries.length),
-    ...dataEntries,
-  ]);
+  /**
+   * Collect all function declarations from the parse tree
+   *
+   * @param {Array} statements - The program's parse tree statements
+   */
+  function collectFunctions(statements) {
+    for (const node of statements) {
+      if (
+        node.type === "ConstDeclaration" &&
+        node.init.type === "ArrowFunctionExpression"
+      ) {
+        functionTable.set(node.id.name, node.init);
+        declaredFunctions.set(node.id, node.id.name);
+      }
+    }
+  }
 
-  return concatBytes([
-    new Uint8Array([SECTION.DATA]),
-    encodeULEB128(content.length),
-    content,
-  ]);
-}
+  /**
+   * Recursively collect all string literals from the parse tree
+   *
+   * @param {Array|Object} node - A parse tree node or array of nodes
+   */
+  function collectStringLiterals(node) {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        collectStringLiterals(item);
+      }
+      return;
+    }
 
-/**
- * Collect all function declarations from the parse tree
- *
- * @param {Array} statements - The program's parse tree statements
- */
-function collectFunctions(statements) {
-  for (const node of statements) {
-    if (
-      node.type === "ConstDeclaration" &&
-      node.init.type === "ArrowFunctionExpression"
-    ) {
-      functionTable[node.id.name] = node.init;
+    if (!node || typeof node !== "object") return;
+
+    // Check for string literals
+    if (node.type === "StringLiteral") {
+      // Store each string literal only once
+      if (!stringTable.has(node.value)) {
+        const ptr = nextStringPtr;
+        const length = node.value.length;
+
+        stringTable.set(node.value, { ptr, length });
+        stringLiterals.push({ value: node.value, ptr });
+
+        // Advance pointer for next string (ptr + length + 4 bytes for length prefix)
+        nextStringPtr += length + 4;
+      }
+    }
+
+    // Recursively check all properties, except the `declaration` naming links
+    // each identifier to, which points back into the tree
+    for (const key in node) {
+      if (key === "declaration") continue;
+      if (typeof node[key] === "object" && node[key] !== null) {
+        collectStringLiterals(node[key]);
+      }
     }
   }
-}
 
-/**
- * Recursively collect all string literals from the parse tree
- *
- * @param {Array|Object} node - A parse tree node or array of nodes
- */
-function collectStringLiterals(node) {
-  if (Array.isArray(node)) {
-    for (const item of node) {
-      collectStringLiterals(item);
+  /**
+   * Generate a WebAssembly function body
+   *
+   * @param {string} name - Function name
+   * @param {Object} node - Function parse tree node
+   * @returns {Uint8Array} - WebAssembly function body bytes
+   */
+  function generateFunctionBody(name, node) {
+    // Reset function state
+    localVars = new Map();
+    currentFunctionLocals = [];
+    let localIndex = 0;
+
+    // Process parameters
+    for (const param of node.params) {
+      localVars.set(param.name, { index: localIndex++, type: TYPES.F64 });
     }
-    return;
+
+    // Generate function body instructions
+    const body = generateNodeBinary(node.body);
+
+    // Encode locals declaration
+    const localDeclarations = encodeLocals(currentFunctionLocals);
+
+    // Add the end opcode to the function body
+    const bodyWithEnd = concatBytes([body, new Uint8Array([OP.END])]);
+
+    // Combine locals and body with size prefix
+    const functionBody = concatBytes([
+      encodeULEB128(localDeclarations.length + bodyWithEnd.length),
+      localDeclarations,
+      bodyWithEnd,
+    ]);
+
+    return functionBody;
   }
 
-  if (!node || typeof node !== "object") return;
+  /**
+   * Encode local variables for WebAssembly function
+   */
+  function encodeLocals(locals) {
+    if (locals.length === 0) {
+      return encodeULEB128(0);
+    }
 
-  // Check for string literals
-  if (node.type === "StringLiteral") {
-    // Store each string literal only once
-    if (stringTable[node.value] === undefined) {
-      const ptr = nextStringPtr;
-      const length = node.value.length;
+    // Group locals by type (all are f64 in this case)
+    const localCount = locals.length;
 
-      stringTable[node.value] = { ptr, length };
-      stringLiterals.push({ value: node.value, ptr });
+    return concatBytes([
+      encodeULEB128(1), // 1 group of locals
+      encodeULEB128(localCount),
+      new Uint8Array([TYPES.F64]),
+    ]);
+  }
 
-      // Advance pointer for next string (ptr + length + 4 bytes for length prefix)
-      nextStringPtr += length + 4;
+  /**
+   * Generate WebAssembly binary code for a node
+   *
+   * @param {Object} node - parse tree node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateNodeBinary(node) {
+    switch (node.type) {
+      case "BlockStatement":
+        return generateBlockStatementBinary(node);
+      case "ReturnStatement":
+        return generateReturnStatementBinary(node);
+      case "ConstDeclaration":
+        return generateConstDeclarationBinary(node);
+      case "BinaryExpression":
+        return generateBinaryExpressionBinary(node);
+      case "UnaryExpression":
+        return generateUnaryExpressionBinary(node);
+      case "LogicalExpression":
+        return generateLogicalExpressionBinary(node);
+      case "ConditionalExpression":
+        return generateConditionalExpressionBinary(node);
+      case "CallExpression":
+        return generateCallExpressionBinary(node);
+      case "Identifier":
+        return generateIdentifierBinary(node);
+      case "StringLiteral":
+        return generateStringLiteralBinary(node);
+      case "NumericLiteral":
+        return generateNumericLiteralBinary(node);
+      case "BooleanLiteral":
+        return generateBooleanLiteralBinary(node);
+      case "ArrowFunctionExpression":
+        reportError(
+          "W001",
+          "Nested function declarations are not supported in this WASM generator",
+          node,
+        );
+        return new Uint8Array([]); // Empty
+      case "ArrayLiteral":
+        reportError(
+          "W002",
+          "Array literals are not supported in this WASM generator",
+          node,
+        );
+        return new Uint8Array([]); // Empty
+      default:
+        reportError("W003", `Unsupported node type: ${node.type}`, node);
+        return new Uint8Array([]); // Empty
     }
   }
 
-  // Recursively check all properties
-  for (const key in node) {
-    if (typeof node[key] === "object" && node[key] !== null) {
-      collectStringLiterals(node[key]);
+  /**
+   * Generate binary code for a block statement
+   *
+   * @param {Object} node - BlockStatement node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateBlockStatementBinary(node) {
+    const statements = [];
+
+    for (const statement of node.body) {
+      statements.push(generateNodeBinary(statement));
     }
+
+    return concatBytes(statements);
   }
-}
 
-/**
- * Generate a WebAssembly function body
- *
- * @param {string} name - Function name
- * @param {Object} node - Function parse tree node
- * @returns {Uint8Array} - WebAssembly function body bytes
- */
-function generateFunctionBody(name, node) {
-  // Reset function state
-  localVars = {};
-  currentFunctionLocals = [];
-  let localIndex = 0;
+  /**
+   * Generate binary code for a return statement
+   *
+   * @param {Object} node - ReturnStatement node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateReturnStatementBinary(node) {
+    if (!node.argument) {
+      // Return 0 for void returns
+      return concatBytes([new Uint8Array([OP.F64_CONST]), encodeF64(0)]);
+    }
 
-  // Process parameters
-  for (const param of node.params) {
-    localVars[param.name] = { index: localIndex++, type: TYPES.F64 };
+    return generateNodeBinary(node.argument);
   }
 
-  // Generate function body instructions
-  const body = generateNodeBinary(node.body);
+  /**
+   * Generate binary code for a const declaration
+   *
+   * @param {Object} node - ConstDeclaration node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateConstDeclarationBinary(node) {
+    // Only top-level functions are compiled (see collectFunctions), and
+    // this is inside a function, so a function here is nested
+    if (node.init.type === "ArrowFunctionExpression") {
+      return generateNodeBinary(node.init); // Reports W001
+    }
 
-  // Encode locals declaration
-  const localDeclarations = encodeLocals(currentFunctionLocals);
+    // Add local variable if not already in scope
+    const varName = node.id.name;
+    if (!localVars.has(varName)) {
+      addLocal(varName);
+    }
 
-  // Add the end opcode to the function body
-  const bodyWithEnd = concatBytes([body, new Uint8Array([OP.END])]);
+    // Generate initialization code
+    const valueCode = generateNodeBinary(node.init);
 
-  // Combine locals and body with size prefix
-  const functionBody = concatBytes([
-    encodeULEB128(localDeclarations.length + bodyWithEnd.length),
-    localDeclarations,
-    bodyWithEnd,
-  ]);
+    return concatBytes([
+      valueCode,
+      new Uint8Array([OP.LOCAL_SET]),
+      encodeULEB128(localVars.get(varName).index),
+    ]);
+  }
 
-  return functionBody;
-}
+  /**
+   * Add a new f64 local variable to the current function
+   *
+   * @param {string} name - Variable name
+   * @returns {number} - The local's index
+   */
+  function addLocal(name) {
+    const localIndex = localVars.size;
+    localVars.set(name, { index: localIndex, type: TYPES.F64 });
+    currentFunctionLocals.push(TYPES.F64);
+    return localIndex;
+  }
 
-/**
- * Encode local variables for WebAssembly function
- */
-function encodeLocals(locals) {
-  if (locals.length === 0) {
-    return encodeULEB128(0);
+  /**
+   * Add a local for generated code to store an intermediate value in. Its
+   * name isn't a valid identifier, so it can't clash with a variable.
+   *
+   * @returns {number} - The local's index
+   */
+  function addTemporaryLocal() {
+    return addLocal(`<temp ${currentFunctionLocals.length}>`);
   }
 
-  // Group locals by type (all are f64 in this case)
-  const localCount = locals.length;
+  /**
+   * Generate binary code for a binary expression
+   *
+   * @param {Object} node - BinaryExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateBinaryExpressionBinary(node) {
+    const left = generateNodeBinary(node.left);
+    const right = generateNodeBinary(node.right);
+
+    // Comparisons produce an i32 (1 or 0), but Booleans are f64 values, so
+    // convert the result
+    if (node.operator in COMPARISON_OPS) {
+      return concatBytes([
+        left,
+        right,
+        new Uint8Array([COMPARISON_OPS[node.operator], OP.F64_CONVERT_I32_U]),
+      ]);
+    }
 
-  return concatBytes([
-    encodeULEB128(1), // 1 group of locals
-    encodeULEB128(localCount),
-    new Uint8Array([TYPES.F64]),
-  ]);
-}
+    // Handle different operators
+    let opCode;
+    switch (node.operator) {
+      case "+":
+        opCode = OP.F64_ADD;
+        break;
+      case "-":
+        opCode = OP.F64_SUB;
+        break;
+      case "*":
+        opCode = OP.F64_MUL;
+        break;
+      case "/":
+        opCode = OP.F64_DIV;
+        break;
+      case "%":
+        return generateRemainderBinary(left, right);
+      default:
+        reportError(
+          "W004",
+          `Unsupported binary operator: ${node.operator}`,
+          node,
+        );
+        return new Uint8Array([]);
+    }
 
-/**
- * Generate WebAssembly binary code for a node
- *
- * @param {Object} node - parse tree node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateNodeBinary(node) {
-  switch (node.type) {
-    case "BlockStatement":
-      return generateBlockStatementBinary(node);
-    case "ReturnStatement":
-      return generateReturnStatementBinary(node);
-    case "ConstDeclaration":
-      return generateConstDeclarationBinary(node);
-    case "BinaryExpression":
-      return generateBinaryExpressionBinary(node);
-    case "ConditionalExpression":
-      return generateConditionalExpressionBinary(node);
-    case "CallExpression":
-      return generateCallExpressionBinary(node);
-    case "Identifier":
-      return generateIdentifierBinary(node);
-    case "StringLiteral":
-      return generateStringLiteralBinary(node);
-    case "NumericLiteral":
-      return generateNumericLiteralBinary(node);
-    case "BooleanLiteral":
-      return generateBooleanLiteralBinary(node);
-    case "ArrowFunctionExpression":
-      reportError(
-        "Nested function declarations are not supported in this WASM generator",
-        node,
-      );
-      return new Uint8Array([]); // Empty
-    case "ArrayLiteral":
-      reportError(
-        "Array literals are not supported in this WASM generator",
-        node,
-      );
-      return new Uint8Array([]); // Empty
-    default:
-      reportError(`Unsupported node type: ${node.type}`, node);
-      return new Uint8Array([]); // Empty
+    return concatBytes([left, right, new Uint8Array([opCode])]);
   }
-}
 
-/**
- * Generate binary code for a block statement
- *
- * @param {Object} node - BlockStatement node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateBlockStatementBinary(node) {
-  const statements = [];
+  /**
+   * Generate binary code for a remainder (a % b)
+   *
+   * WebAssembly has no floating-point remainder instruction, and
+   * a - trunc(a / b) * b rounds, so compute the remainder by long division
+   * in binary instead, like C's fmod. Starting from |a|, subtract |b| times
+   * each power of two, largest first, that still fits. Each subtraction is
+   * of a number no bigger than the remainder and at least half of it, so
+   * it's exact, and the loop runs at most once per bit of exponent.
+   *
+   * As with JavaScript's %, the result takes the sign of a (so -4 % 2 is
+   * -0), a % b is NaN if a is infinite or b is 0, and a % b is a if b is
+   * infinite.
+   *
+   * @param {Uint8Array} left - Instructions for a
+   * @param {Uint8Array} right - Instructions for b
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateRemainderBinary(left, right) {
+    const a = encodeULEB128(addTemporaryLocal());
+    const remainder = encodeULEB128(addTemporaryLocal()); // What's left of |a|
+    const divisor = encodeULEB128(addTemporaryLocal()); // |b|
+    const multiple = encodeULEB128(addTemporaryLocal()); // |b| * 2^k
+
+    const get = (local) => concatBytes([new Uint8Array([OP.LOCAL_GET]), local]);
+    const set = (local) => concatBytes([new Uint8Array([OP.LOCAL_SET]), local]);
+    const f64 = (value) =>
+      concatBytes([new Uint8Array([OP.F64_CONST]), encodeF64(value)]);
 
-  for (const statement of node.body) {
-    statements.push(generateNodeBinary(statement));
+    return concatBytes([
+      left,
+      new Uint8Array([OP.LOCAL_TEE]),
+      a,
+      new Uint8Array([OP.F64_ABS]),
+      set(remainder),
+      right,
+      new Uint8Array([OP.F64_ABS]),
+      set(divisor),
+
+      // NaN if a is infinite or NaN, b is NaN, or b is 0
+      get(remainder),
+      f64(Infinity),
+      new Uint8Array([OP.F64_LT, OP.I32_EQZ]),
+      get(divisor),
+      get(divisor),
+      new Uint8Array([OP.F64_NE, OP.I32_OR]),
+      get(divisor),
+      f64(0),
+      new Uint8Array([OP.F64_EQ, OP.I32_OR]),
+      new Uint8Array([OP.IF, TYPES.F64]),
+      f64(NaN),
+      new Uint8Array([OP.ELSE]),
+
+      // a itself if |a| < |b|, which includes an infinite b
+      get(remainder),
+      get(divisor),
+      new Uint8Array([OP.F64_LT, OP.IF, TYPES.F64]),
+      get(a),
+      new Uint8Array([OP.ELSE]),
+
+      // Double the multiple while it fits in the remainder
+      get(divisor),
+      set(multiple),
+      new Uint8Array([OP.BLOCK, TYPES.VOID, OP.LOOP, TYPES.VOID]),
+      get(multiple),
+      get(multiple),
+      new Uint8Array([OP.F64_ADD]),
+      get(remainder),
+      new Uint8Array([OP.F64_LE, OP.I32_EQZ, OP.BR_IF, 1]),
+      get(multiple),
+      get(multiple),
+      new Uint8Array([OP.F64_ADD]),
+      set(multiple),
+      new Uint8Array([OP.BR, 0, OP.END, OP.END]),
+
+      // Then subtract each multiple that fits, halving it down to |b|
+      new Uint8Array([OP.BLOCK, TYPES.VOID, OP.LOOP, TYPES.VOID]),
+      get(multiple),
+      get(divisor),
+      new Uint8Array([OP.F64_LT, OP.BR_IF, 1]),
+      get(remainder),
+      get(multiple),
+      new Uint8Array([OP.F64_GE, OP.IF, TYPES.VOID]),
+      get(remainder),
+      get(multiple),
+      new Uint8Array([OP.F64_SUB]),
+      set(remainder),
+      new Uint8Array([OP.END]),
+      get(multiple),
+      f64(0.5),
+      new Uint8Array([OP.F64_MUL]),
+      set(multiple),
+      new Uint8Array([OP.BR, 0, OP.END, OP.END]),
+
+      get(remainder),
+      get(a),
+      new Uint8Array([OP.F64_COPYSIGN, OP.END, OP.END]),
+    ]);
   }
 
-  return concatBytes(statements);
-}
+  /**
+   * Generate binary code for a unary expression
+   *
+   * @param {Object} node - UnaryExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateUnaryExpressionBinary(node) {
+    // Booleans are 1 or 0, so !x is x == 0
+    if (node.operator === "!") {
+      return concatBytes([
+        generateNodeBinary(node.argument),
+        new Uint8Array([OP.F64_CONST]),
+        encodeF64(0),
+        new Uint8Array([OP.F64_EQ, OP.F64_CONVERT_I32_U]),
+      ]);
+    }
 
-/**
- * Generate binary code for a return statement
- *
- * @param {Object} node - ReturnStatement node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateReturnStatementBinary(node) {
-  if (!node.argument) {
-    // Return 0 for void returns
-    return concatBytes([new Uint8Array([OP.F64_CONST]), encodeF64(0)]);
-  }
+    if (node.operator !== "-") {
+      reportError("W004", `Unsupported unary operator: ${node.operator}`, node);
+      return new Uint8Array([]);
+    }
 
-  return generateNodeBinary(node.argument);
-}
+    // Negating a literal is folded into the constant. Negation (rather than
+    // subtracting from 0) keeps the sign of zero, so -0 is still -0.
+    if (node.argument.type === "NumericLiteral") {
+      return concatBytes([
+        new Uint8Array([OP.F64_CONST]),
+        encodeF64(-node.argument.value),
+      ]);
+    }
 
-/**
- * Generate binary code for a const declaration
- *
- * @param {Object} node - ConstDeclaration node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateConstDeclarationBinary(node) {
-  // Skip function declarations - they're handled separately
-  if (node.init.type === "ArrowFunctionExpression") {
-    return new Uint8Array([]);
+    return concatBytes([
+      generateNodeBinary(node.argument),
+      new Uint8Array([OP.F64_NEG]),
+    ]);
   }
 
-  // Add local variable if not already in scope
-  const varName = node.id.name;
-  if (!localVars[varName]) {
-    // Create new local variable
-    const localIndex = Object.keys(localVars).length;
-    localVars[varName] = { index: localIndex, type: TYPES.F64 };
-    currentFunctionLocals.push(TYPES.F64);
-  }
+  /**
+   * Generate binary code for a logical expression
+   *
+   * The right operand only runs if it's needed, so a && b is compiled like
+   * a ? b : false, and a || b like a ? true : b.
+   *
+   * @param {Object} node - LogicalExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateLogicalExpressionBinary(node) {
+    if (node.operator !== "&&" && node.operator !== "||") {
+      reportError(
+        "W004",
+        `Unsupported logical operator: ${node.operator}`,
+        node,
+      );
+      return new Uint8Array([]);
+    }
 
-  // Generate initialization code
-  const valueCode = generateNodeBinary(node.init);
+    const left = generateNodeBinary(node.left);
+    const right = generateNodeBinary(node.right);
+    const isAnd = node.operator === "&&";
 
-  return concatBytes([
-    valueCode,
-    new Uint8Array([OP.LOCAL_SET]),
-    encodeULEB128(localVars[varName].index),
-  ]);
-}
+    // The value when the left operand settles the result on its own
+    const shortCircuit = concatBytes([
+      new Uint8Array([OP.F64_CONST]),
+      encodeF64(isAnd ? 0 : 1),
+    ]);
 
-/**
- * Generate binary code for a binary expression
- *
- * @param {Object} node - BinaryExpression node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateBinaryExpressionBinary(node) {
-  const left = generateNodeBinary(node.left);
-  const right = generateNodeBinary(node.right);
-
-  // Handle different operators
-  let opCode;
-  switch (node.operator) {
-    case "+":
-      opCode = OP.F64_ADD;
-      break;
-    case "*":
-      opCode = OP.F64_MUL;
-      break;
-    default:
-      reportError(`Unsupported binary operator: ${node.operator}`, node);
-      return new Uint8Array([]);
+    return concatBytes([
+      left,
+      new Uint8Array([OP.F64_CONST]),
+      encodeF64(0),
+      new Uint8Array([OP.F64_NE]),
+      new Uint8Array([OP.IF, TYPES.F64]),
+      isAnd ? right : shortCircuit,
+      new Uint8Array([OP.ELSE]),
+      isAnd ? shortCircuit : right,
+      new Uint8Array([OP.END]),
+    ]);
   }
 
-  return concatBytes([left, right, new Uint8Array([opCode])]);
-}
-
-/**
- * Generate binary code for a conditional expression
- *
- * @param {Object} node - ConditionalExpression node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateConditionalExpressionBinary(node) {
-  const test = generateNodeBinary(node.test);
-  const consequent = generateNodeBinary(node.consequent);
-  const alternate = generateNodeBinary(node.alternate);
-
-  // Compare condition with 0 to get boolean
-  const comparison = concatBytes([
-    test,
-    new Uint8Array([OP.F64_CONST]),
-    encodeF64(0),
-    new Uint8Array([OP.F64_NE]),
-  ]);
-
-  // if/else construct
-  return concatBytes([
-    comparison,
-    new Uint8Array([OP.IF, TYPES.F64]),
-    consequent,
-    new Uint8Array([OP.ELSE]),
-    alternate,
-    new Uint8Array([OP.END]),
-  ]);
-}
+  /**
+   * Generate binary code for a conditional expression
+   *
+   * @param {Object} node - ConditionalExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateConditionalExpressionBinary(node) {
+    const test = generateNodeBinary(node.test);
+    const consequent = generateNodeBinary(node.consequent);
+    const alternate = generateNodeBinary(node.alternate);
+
+    // Compare condition with 0 to get boolean
+    const comparison = concatBytes([
+      test,
+      new Uint8Array([OP.F64_CONST]),
+      encodeF64(0),
+      new Uint8Array([OP.F64_NE]),
+    ]);
 
-/**
- * Generate binary code for a function call
- *
- * @param {Object} node - CallExpression node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateCallExpressionBinary(node) {
-  // Check if the function is a user-defined one
-  if (node.callee.type === "Identifier") {
-    const funcName = node.callee.name;
+    // if/else construct
+    return concatBytes([
+      comparison,
+      new Uint8Array([OP.IF, TYPES.F64]),
+      consequent,
+      new Uint8Array([OP.ELSE]),
+      alternate,
+      new Uint8Array([OP.END]),
+    ]);
+  }
 
-    if (functionIndices[funcName] !== undefined) {
+  /**
+   * Generate binary code for a function call
+   *
+   * @param {Object} node - CallExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateCallExpressionBinary(node) {
+    // Naming linked the callee to what it refers to, which tells a top-level
+    // function or a built-in from a local of the same name
+    const declaration =
+      node.callee.type === "Identifier" ? node.callee.declaration : null;
+
+    if (declaration && declaredFunctions.has(declaration)) {
       // Generate code for each argument
       const args = [];
       for (const arg of node.arguments) {
@@ -753,77 +1003,111 @@ function generateCallExpressionBinary(node) {
       return concatBytes([
         ...args,
         new Uint8Array([OP.CALL]),
-        encodeULEB128(functionIndices[funcName]),
+        encodeULEB128(functionIndices.get(declaredFunctions.get(declaration))),
       ]);
     }
-  }
 
-  reportError(
-    `Call to undefined function: ${node.callee.name || "anonymous"}`,
-    node,
-  );
-  return new Uint8Array([]);
-}
+    // A built-in function, which the host provides
+    if (declaration && declaration.builtin) {
+      return generateBuiltinCallBinary(node);
+    }
 
-/**
- * Generate binary code for an identifier reference
- *
- * @param {Object} node - Identifier node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateIdentifierBinary(node) {
-  const varName = node.name;
+    reportError(
+      "W005",
+      `Call to undefined function: ${node.callee.name || "anonymous"}`,
+      node,
+    );
+    return new Uint8Array([]);
+  }
+
+  /**
+   * Generate binary code for a call to a built-in function
+   *
+   * Built-ins return their argument (see builtins.js), but the imported host
+   * function returns nothing, so keep the argument in a local to return it.
+   *
+   * @param {Object} node - CallExpression node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateBuiltinCallBinary(node) {
+    const value = encodeULEB128(addTemporaryLocal());
 
-  if (localVars[varName]) {
     return concatBytes([
+      generateNodeBinary(node.arguments[0]),
+      new Uint8Array([OP.LOCAL_TEE]),
+      value,
+      new Uint8Array([OP.CALL]),
+      encodeULEB128(BUILTIN_NAMES.indexOf(node.callee.name)),
       new Uint8Array([OP.LOCAL_GET]),
-      encodeULEB128(localVars[varName].index),
+      value,
     ]);
   }
 
-  reportError(`Reference to undefined variable: ${varName}`, node);
-  return new Uint8Array([]);
-}
+  /**
+   * Generate binary code for an identifier reference
+   *
+   * @param {Object} node - Identifier node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateIdentifierBinary(node) {
+    const varName = node.name;
 
-/**
- * Generate binary code for a string literal
- *
- * @param {Object} node - StringLiteral node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateStringLiteralBinary(node) {
-  const { ptr } = stringTable[node.value];
-
-  // Return the pointer to the string in memory and convert to f64
-  return concatBytes([
-    new Uint8Array([OP.I32_CONST]),
-    encodeSLEB128(ptr),
-    new Uint8Array([OP.F64_CONVERT_I32_U]),
-  ]);
-}
+    if (localVars.has(varName)) {
+      return concatBytes([
+        new Uint8Array([OP.LOCAL_GET]),
+        encodeULEB128(localVars.get(varName).index),
+      ]);
+    }
 
-/**
- * Generate binary code for a numeric literal
- *
- * @param {Object} node - NumericLiteral node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateNumericLiteralBinary(node) {
-  return concatBytes([new Uint8Array([OP.F64_CONST]), encodeF64(node.value)]);
-}
+    reportError("W006", `Reference to undefined variable: ${varName}`, node);
+    return new Uint8Array([]);
+  }
 
-/**
- * Generate binary code for a boolean literal
- *
- * @param {Object} node - BooleanLiteral node
- * @returns {Uint8Array} - WebAssembly instructions
- */
-function generateBooleanLiteralBinary(node) {
-  // In WebAssembly, represent boolean as 1.0 (true) or 0.0 (false)
-  return concatBytes([
-    new Uint8Array([OP.F64_CONST]),
-    encodeF64(node.value ? 1 : 0),
-  ]);
+  /**
+   * Generate binary code for a string literal
+   *
+   * @param {Object} node - StringLiteral node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateStringLiteralBinary(node) {
+    const { ptr } = stringTable.get(node.value);
+
+    // Return the pointer to the string in memory and convert to f64
+    return concatBytes([
+      new Uint8Array([OP.I32_CONST]),
+      encodeSLEB128(ptr),
+      new Uint8Array([OP.F64_CONVERT_I32_U]),
+    ]);
+  }
+
+  /**
+   * Generate binary code for a numeric literal
+   *
+   * @param {Object} node - NumericLiteral node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateNumericLiteralBinary(node) {
+    return concatBytes([new Uint8Array([OP.F64_CONST]), encodeF64(node.value)]);
+  }
+
+  /**
+   * Generate binary code for a boolean literal
+   *
+   * @param {Object} node - BooleanLiteral node
+   * @returns {Uint8Array} - WebAssembly instructions
+   */
+  function generateBooleanLiteralBinary(node) {
+    // In WebAssembly, represent boolean as 1.0 (true) or 0.0 (false)
+    return concatBytes([
+      new Uint8Array([OP.F64_CONST]),
+      encodeF64(node.value ? 1 : 0),
+    ]);
+  }
+
+  return {
+    wasm: generateModule(node),
+    errors,
+  };
 }
 
 /**
@@ -838,7 +1122,12 @@ function compileToWasm(sourceCode) {
   const { typeCheck } = require("./typecheck");
 
   // Parse the source code
-  const ast = compile(sourceCode);
+  const parseResult = compile(sourceCode);
+  if (parseResult.errors.length > 0) {
+    return { errors: parseResult.errors };
+  }
+
+  const ast = parseResult.ast;
 
   // Check names and types
   const nameResult = nameCheck(ast);
@@ -858,4 +1147,7 @@ function compileToWasm(sourceCode) {
 module.exports = {
   generateWasm,
   compileToWasm,
+  SECTION,
+  TYPES,
+  OP,
 };
@@ -0,0 +1,344 @@
+/**
+ * WebAssembly Text Format (WAT)
+ *
+ * This turns a WebAssembly binary back into the human-readable text format,
+ * so we can inspect what the code generator produced. It's a disassembler:
+ * it reads the same bytes the browser or Node would run, rather than
+ * re-deriving the text from the parse tree, so the text can never disagree
+ * with the binary.
+ *
+ * It understands the sections and instructions that wasm.js emits.
+ */
+
+const { SECTION, TYPES, OP } = require("./wasm");
+
+const decoder = new TextDecoder();
+
+// Value types, by their binary encoding
+const VALUE_TYPE_NAMES = {
+  [TYPES.I32]: "i32",
+  [TYPES.F64]: "f64",
+  0x7e: "i64",
+  0x7d: "f32",
+};
+
+// Instruction names, by opcode. The OP table in wasm.js uses names like
+// F64_ADD and LOCAL_GET, which become f64.add and local.get.
+const INSTRUCTION_NAMES = {};
+for (const [name, opcode] of Object.entries(OP)) {
+  INSTRUCTION_NAMES[opcode] = /^(I32|I64|F32|F64|LOCAL|GLOBAL)_/.test(name)
+    ? name.toLowerCase().replace("_", ".")
+    : name.toLowerCase();
+}
+
+// Instructions that are followed by an immediate operand, and how to read it
+const IMMEDIATES = {
+  [OP.BLOCK]: "blocktype",
+  [OP.LOOP]: "blocktype",
+  [OP.IF]: "blocktype",
+  [OP.BR]: "index",
+  [OP.BR_IF]: "index",
+  [OP.CALL]: "index",
+  [OP.LOCAL_GET]: "index",
+  [OP.LOCAL_SET]: "index",
+  [OP.LOCAL_TEE]: "index",
+  [OP.I32_CONST]: "i32",
+  [OP.F64_CONST]: "f64",
+};
+
+/**
+ * Create a reader that walks through the bytes of a binary
+ *
+ * @param {Uint8Array} bytes - The bytes to read
+ * @returns {Object} - Functions for reading each kind of value
+ */
+function createReader(bytes) {
+  let offset = 0;
+
+  const reader = {
+    done: () => offset >= bytes.length,
+
+    byte: () => bytes[offset++],
+
+    bytes: (length) => {
+      const slice = bytes.slice(offset, offset + length);
+      offset += length;
+      return slice;
+    },
+
+    // Unsigned LEB128
+    u32: () => {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = bytes[offset++];
+        result += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return result;
+    },
+
+    // Signed LEB128
+    i32: () => {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = bytes[offset++];
+        result |= (byte & 0x7f) << shift;
+        shift += 7;
+      } while (byte & 0x80);
+
+      // Sign-extend if the sign bit of the last byte is set
+      if (shift < 32 && byte & 0x40) {
+        result |= -1 << shift;
+      }
+      return result;
+    },
+
+    f64: () => new DataView(reader.bytes(8).buffer).getFloat64(0, true),
+
+    name: () => decoder.decode(reader.bytes(reader.u32())),
+
+    vec: (readItem) => {
+      const count = reader.u32();
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        items.push(readItem());
+      }
+      return items;
+    },
+  };
+
+  return reader;
+}
+
+/**
+ * Format an f64 the way WAT writes floating-point literals
+ */
+function formatF64(value) {
+  if (Number.isNaN(value)) return "nan";
+  if (value === Infinity) return "inf";
+  if (value === -Infinity) return "-inf";
+  if (Object.is(value, -0)) return "-0";
+  return String(value);
+}
+
+/**
+ * Format bytes as a WAT string literal, escaping anything unprintable
+ */
+function formatDataString(bytes) {
+  let text = "";
+  for (const byte of bytes) {
+    const isPrintable = byte >= 0x20 && byte < 0x7f;
+    if (isPrintable && byte !== 0x22 && byte !== 0x5c) {
+      text += String.fromCharCode(byte);
+    } else {
+      text += "\\" + byte.toString(16).padStart(2, "0");
+    }
+  }
+  return `"${text}"`;
+}
+
+/**
+ * Format a function signature's params and results
+ */
+function formatSignature({ params, results }) {
+  const parts = [];
+  if (params.length > 0) {
+    parts.push(`(param ${params.map((t) => VALUE_TYPE_NAMES[t]).join(" ")})`);
+  }
+  if (results.length > 0) {
+    parts.push(`(result ${results.map((t) => VALUE_TYPE_NAMES[t]).join(" ")})`);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Disassemble a function body's instructions, indenting nested blocks
+ *
+ * @param {Object} reader - Reader positioned at the first instruction
+ * @param {number} depth - Indentation depth of the function's instructions
+ * @returns {Array} - Lines of text, one per instruction
+ */
+function disassembleInstructions(reader, depth) {
+  const lines = [];
+  let blockDepth = 0;
+
+  // A function body ends at the `end` that matches no block
+  while (!reader.done()) {
+    const opcode = reader.byte();
+    const name =
+      INSTRUCTION_NAMES[opcode] || `unknown_0x${opcode.toString(16)}`;
+
+    if (opcode === OP.END) {
+      if (blockDepth === 0) break;
+      blockDepth--;
+    }
+
+    // else and end line up with the block they belong to
+    const outdent = opcode === OP.ELSE ? 1 : 0;
+    const indent = "  ".repeat(depth + blockDepth - outdent);
+
+    let text = name;
+    switch (IMMEDIATES[opcode]) {
+      case "blocktype": {
+        const blockType = reader.byte();
+        if (blockType !== TYPES.VOID) {
+          text += ` (result ${VALUE_TYPE_NAMES[blockType]})`;
+        }
+        blockDepth++;
+        break;
+      }
+      case "index":
+        text += ` ${reader.u32()}`;
+        break;
+      case "i32":
+        text += ` ${reader.i32()}`;
+        break;
+      case "f64":
+        text += ` ${formatF64(reader.f64())}`;
+        break;
+    }
+
+    lines.push(indent + text);
+  }
+
+  return lines;
+}
+
+/**
+ * Convert a WebAssembly binary into the WebAssembly text format
+ *
+ * @param {Uint8Array} wasmBinary - A binary produced by generateWasm
+ * @returns {string} - The module in WAT form
+ */
+function wasmToWat(wasmBinary) {
+  const reader = createReader(wasmBinary);
+
+  // Skip the magic number and version
+  reader.bytes(8);
+
+  const types = [];
+  const importLines = [];
+  const functionTypes = [];
+  const otherLines = [];
+  const codeLines = [];
+  let importedFunctionCount = 0;
+
+  while (!reader.done()) {
+    const sectionId = reader.byte();
+    const sectionSize = reader.u32();
+    const section = createReader(reader.bytes(sectionSize));
+
+    switch (sectionId) {
+      case SECTION.TYPE:
+        section.vec(() => {
+          section.byte(); // The 0x60 "func" marker
+          const params = section.vec(section.byte);
+          const results = section.vec(section.byte);
+          types.push({ params, results });
+        });
+        break;
+
+      case SECTION.IMPORT:
+        section.vec(() => {
+          const moduleName = section.name();
+          const fieldName = section.name();
+          section.byte(); // Import kind (only functions are imported)
+          const typeIndex = section.u32();
+          importLines.push(
+            `(import "${moduleName}" "${fieldName}" (func (;${importedFunctionCount};) (type ${typeIndex})))`,
+          );
+          importedFunctionCount++;
+        });
+        break;
+
+      case SECTION.FUNCTION:
+        functionTypes.push(...section.vec(section.u32));
+        break;
+
+      case SECTION.MEMORY:
+        section.vec(() => {
+          const flags = section.byte();
+          const initial = section.u32();
+          const maximum = flags & 1 ? ` ${section.u32()}` : "";
+          otherLines.push(`(memory (;0;) ${initial}${maximum})`);
+        });
+        break;
+
+      case SECTION.EXPORT: {
+        const kinds = ["func", "table", "memory", "global"];
+        section.vec(() => {
+          const name = section.name();
+          const kind = kinds[section.byte()];
+          otherLines.push(`(export "${name}" (${kind} ${section.u32()}))`);
+        });
+        break;
+      }
+
+      case SECTION.CODE:
+        section.vec(() => {
+          const index = importedFunctionCount + codeLines.length;
+          const typeIndex = functionTypes[codeLines.length];
+          const body = createReader(section.bytes(section.u32()));
+
+          const lines = [
+            `(func (;${index};) (type ${typeIndex}) ${formatSignature(types[typeIndex])}`.trimEnd(),
+          ];
+
+          const locals = body.vec(() => ({
+            count: body.u32(),
+            type: VALUE_TYPE_NAMES[body.byte()],
+          }));
+          const localTypes = locals.flatMap(({ count, type }) =>
+            new Array(count).fill(type),
+          );
+          if (localTypes.length > 0) {
+            lines.push(`  (local ${localTypes.join(" ")})`);
+          }
+
+          lines.push(...disassembleInstructions(body, 1));
+          lines.push(")");
+          codeLines.push(lines);
+        });
+        break;
+
+      case SECTION.DATA:
+        section.vec(() => {
+          section.u32(); // Memory index
+          section.byte(); // i32.const
+          const offset = section.i32();
+          section.byte(); // end
+          const bytes = section.bytes(section.u32());
+          otherLines.push(
+            `(data (i32.const ${offset}) ${formatDataString(bytes)})`,
+          );
+        });
+        break;
+    }
+  }
+
+  const typeLines = types.map((type, i) => {
+    const signature = formatSignature(type);
+    return signature
+      ? `(type (;${i};) (func ${signature}))`
+      : `(type (;${i};) (func))`;
+  });
+
+  const indentLine = (line) => `  ${line}`;
+
+  return [
+    "(module",
+    ...typeLines.map(indentLine),
+    ...importLines.map(indentLine),
+    ...codeLines.flat().map(indentLine),
+    ...otherLines.map(indentLine),
+    ")",
+  ].join("\n");
+}
+
+module.exports = {
+  wasmToWat,
+};